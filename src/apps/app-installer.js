@@ -0,0 +1,527 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { app } = require('electron');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const AdmZip = require('adm-zip');
+const { checkFreeSpace, createSpaceError } = require('../downloads/disk-space');
+const { hashFile } = require('../downloads/file-integrity');
+const { detectBinaryType, resolveLaunchTarget, createPlatformError } = require('./launch-resolver');
+
+const execFileAsync = promisify(execFile);
+
+// Install manifests live next to the installs, outside the app folders
+const MANIFESTS_DIR = '.manifests';
+const MANIFEST_VERSION = 1;
+
+// How deep into a package to look for the entry executable
+const MAX_EXECUTABLE_DEPTH = 3;
+
+// Helpers shipped next to the real program that should never be picked as the entry
+const IGNORED_EXECUTABLES = /unins|uninstall|setup|installer|crashpad|crash_?handler|crashreport|updater?\b|vc_?redist|dxsetup|helper/i;
+
+// Libraries share the binary formats of programs
+const LIBRARY_FILES = /\.(so|dylib|dll|node)(\.|$)/i;
+
+/**
+ * App Installer for OTH Launcher
+ * Extracts zip / tar.gz app packages into the managed library folder
+ * (launcher-settings.library.location), picks the entry executable and
+ * writes an install manifest of every file it created so uninstalls can
+ * remove exactly those.
+ */
+class AppInstaller {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Folder apps are installed into
+   */
+  getLibraryDir() {
+    const settings = this.store.get('launcher-settings', {});
+    return settings.library?.location || path.join(app.getPath('userData'), 'Library');
+  }
+
+  /**
+   * Where the install manifest of an app is kept
+   */
+  getManifestPath(marketplaceItemId) {
+    return path.join(this.getLibraryDir(), MANIFESTS_DIR, `${this.slugify(marketplaceItemId)}.json`);
+  }
+
+  /**
+   * File-system safe name
+   */
+  slugify(value) {
+    return String(value || 'app').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-.]+|-+$/g, '') || 'app';
+  }
+
+  /**
+   * 'zip' or 'tar.gz' from the archive's first bytes
+   */
+  async detectArchiveType(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(4);
+      await handle.read(buffer, 0, 4, 0);
+      if (buffer.readUInt32LE(0) === 0x04034b50) {
+        return 'zip'; // "PK\x03\x04"
+      }
+      if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return 'tar.gz';
+      }
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Size of the extracted files
+   * gzip stores the uncompressed size (mod 4 GB) in its last 4 bytes.
+   */
+  async getExtractedSize(filePath, type) {
+    if (type === 'zip') {
+      return new AdmZip(filePath).getEntries().reduce((total, entry) => total + (entry.header.size || 0), 0);
+    }
+
+    const { size } = await fs.stat(filePath);
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(4);
+      await handle.read(buffer, 0, 4, size - 4);
+      return Math.max(buffer.readUInt32LE(0), size);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Extract an archive into an (empty) folder
+   * tar.gz goes through the system tar (bundled with Windows 10+, macOS and Linux),
+   * which refuses absolute paths and ".." entries.
+   */
+  async extractArchive(filePath, type, targetDir) {
+    await fs.mkdir(targetDir, { recursive: true });
+
+    if (type === 'zip') {
+      // keepOriginalPermission keeps the exec bit of Linux/macOS binaries
+      new AdmZip(filePath).extractAllTo(targetDir, true, true);
+      return;
+    }
+
+    try {
+      await execFileAsync('tar', ['-xzf', filePath, '-C', targetDir], { windowsHide: true });
+    } catch (error) {
+      throw new Error(`Failed to extract archive: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+
+  /**
+   * All files and folders under a folder, relative with forward slashes
+   * Symlinks are listed as files and not followed. With options.hash each
+   * regular file also gets its SHA-256.
+   */
+  async listFiles(rootDir, options = {}) {
+    const files = [];
+    const directories = [];
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+
+        if (entry.isDirectory()) {
+          directories.push(relativePath);
+          await walk(fullPath);
+        } else {
+          const stats = await fs.lstat(fullPath);
+          const file = { path: relativePath, size: stats.isFile() ? stats.size : 0 };
+          if (options.hash && stats.isFile()) {
+            file.sha256 = await hashFile(fullPath);
+          }
+          files.push(file);
+        }
+      }
+    };
+
+    await walk(rootDir);
+    return { files, directories };
+  }
+
+  /**
+   * Folder holding the package contents
+   * Packages that wrap everything in one top-level folder are unwrapped.
+   */
+  async getPackageRoot(extractDir) {
+    const entries = await fs.readdir(extractDir, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory() && path.extname(entries[0].name).toLowerCase() !== '.app') {
+      return path.join(extractDir, entries[0].name);
+    }
+    return extractDir;
+  }
+
+  /**
+   * Programs in a package that could be the entry point, best first
+   * Returns [{ path, depth, platform }] where platform is the OS the file runs on.
+   */
+  async findExecutableCandidates(rootDir, title) {
+    const candidates = [];
+    const titleKey = title ? this.slugify(title).replace(/[^a-z0-9]/g, '') : '';
+
+    const walk = async (dir, depth) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const extension = path.extname(entry.name).toLowerCase();
+
+        if (entry.isDirectory()) {
+          if (extension === '.app') {
+            candidates.push({ path: fullPath, depth, platform: 'darwin' });
+          } else if (depth < MAX_EXECUTABLE_DEPTH && !entry.name.startsWith('.')) {
+            await walk(fullPath, depth + 1);
+          }
+          continue;
+        }
+
+        if (!entry.isFile() || IGNORED_EXECUTABLES.test(entry.name) || LIBRARY_FILES.test(entry.name) || extension === '.part') {
+          continue;
+        }
+
+        const binaryType = await detectBinaryType(fullPath).catch(() => null);
+        let platform = null;
+        if (['.exe', '.bat', '.cmd'].includes(extension) || binaryType === 'pe') {
+          platform = 'win32';
+        } else if (extension === '.appimage' || extension === '.desktop' || binaryType === 'elf') {
+          platform = 'linux';
+        } else if (binaryType === 'macho') {
+          platform = 'darwin';
+        } else if (extension === '.sh' || binaryType === 'script') {
+          platform = process.platform === 'win32' ? 'linux' : process.platform;
+        }
+
+        if (platform) {
+          candidates.push({ path: fullPath, depth, platform });
+        }
+      }
+    };
+
+    await walk(rootDir, 0);
+
+    // Prefer this OS, then a name matching the title, then shallow files;
+    // AppImages and real binaries beat launcher scripts
+    const rank = (candidate) => {
+      const name = path.basename(candidate.path, path.extname(candidate.path)).toLowerCase().replace(/[^a-z0-9]/g, '');
+      const extension = path.extname(candidate.path).toLowerCase();
+      return (candidate.platform === process.platform ? 0 : 1000) +
+        (titleKey && (name === titleKey || name.includes(titleKey)) ? 0 : 100) +
+        candidate.depth * 10 +
+        (['.sh', '.bat', '.cmd', '.desktop'].includes(extension) ? 1 : 0);
+    };
+
+    return candidates.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Pick and validate the entry executable of an extracted package
+   * `executable` (relative to the package root) overrides the search.
+   */
+  async resolveEntryExecutable(rootDir, { executable, title } = {}) {
+    let entryPath;
+
+    if (executable) {
+      entryPath = path.resolve(rootDir, executable);
+      if (path.relative(rootDir, entryPath).startsWith('..') || path.isAbsolute(path.relative(rootDir, entryPath))) {
+        throw new Error(`Executable must be inside the package: ${executable}`);
+      }
+      await fs.access(entryPath).catch(() => {
+        throw new Error(`Executable not found in package: ${executable}`);
+      });
+    } else {
+      const candidates = await this.findExecutableCandidates(rootDir, title);
+      const match = candidates.find(c => c.platform === process.platform);
+
+      if (!match) {
+        if (candidates.length > 0) {
+          throw createPlatformError(candidates[0].path, candidates[0].platform);
+        }
+        throw new Error('No executable found in the package');
+      }
+      entryPath = match.path;
+    }
+
+    // Our own extraction - make sure the entry can run
+    if (process.platform !== 'win32') {
+      const stats = await fs.stat(entryPath);
+      if (stats.isFile() && ['elf', 'macho', 'script'].includes(await detectBinaryType(entryPath))) {
+        await fs.chmod(entryPath, stats.mode | 0o111);
+      }
+    }
+
+    const target = await resolveLaunchTarget(entryPath);
+    if (target.type !== 'spawn') {
+      throw new Error(`${path.basename(entryPath)} is not a program`);
+    }
+
+    return entryPath;
+  }
+
+  /**
+   * Whether a path is a manifest file in the library's manifest folder
+   */
+  isLibraryManifest(manifestPath) {
+    if (!manifestPath) {
+      return false;
+    }
+    const manifestsDir = path.dirname(this.getManifestPath('app'));
+    return path.dirname(path.resolve(manifestPath)) === path.resolve(manifestsDir) &&
+      path.extname(manifestPath) === '.json';
+  }
+
+  /**
+   * Read an app's install manifest (null if it has none)
+   */
+  async readManifest(installedApp) {
+    const manifestPath = installedApp.manifestPath || this.getManifestPath(installedApp.marketplaceItemId);
+    try {
+      return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save an install manifest
+   */
+  async writeManifest(manifestPath, manifest) {
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Install an app package into the library
+   * appInfo: { marketplaceItemId, title, version, executable, source }
+   * source ({ downloadUrl, sha256 }) is where the package came from, used by repairs.
+   * Options: onProgress(percent, step). Reinstalling over an installed app
+   * replaces its files but keeps files the app created itself (saves, config).
+   * Returns { installPath, executablePath, manifestPath, manifest, size }.
+   */
+  async installFromArchive(archivePath, appInfo, options = {}) {
+    const { onProgress = () => {} } = options;
+    const { marketplaceItemId, title } = appInfo;
+
+    if (!marketplaceItemId) {
+      throw new Error('marketplaceItemId is required');
+    }
+
+    const libraryDir = this.getLibraryDir();
+    const tempDir = path.join(libraryDir, '.temp', `install-${Date.now()}`);
+    const manifestPath = this.getManifestPath(marketplaceItemId);
+    const previous = await this.readManifest({ marketplaceItemId, manifestPath });
+    let backupPath = null;
+    let installPath = null;
+    let installed = false;
+
+    try {
+      console.log('📦 Installing app package:', title || marketplaceItemId);
+
+      // 1. Extract into a temp folder (after making sure it fits)
+      onProgress(0, 'extracting');
+      const type = await this.detectArchiveType(archivePath);
+      if (!type) {
+        throw new Error('Unsupported package format (expected .zip or .tar.gz)');
+      }
+
+      await fs.mkdir(libraryDir, { recursive: true });
+      const spaceCheck = await checkFreeSpace(libraryDir, await this.getExtractedSize(archivePath, type));
+      if (!spaceCheck.ok) {
+        throw createSpaceError(spaceCheck);
+      }
+
+      await this.extractArchive(archivePath, type, tempDir);
+      const packageRoot = await this.getPackageRoot(tempDir);
+      onProgress(50, 'extracted');
+
+      // 2. Find the program to launch
+      const entryPath = await this.resolveEntryExecutable(packageRoot, {
+        executable: appInfo.executable,
+        title
+      });
+      const executable = path.relative(packageRoot, entryPath).split(path.sep).join('/');
+      const { files, directories } = await this.listFiles(packageRoot, { hash: true });
+      onProgress(70, 'validated');
+
+      // 3. Move into the library, replacing the previous install
+      installPath = previous?.installPath || path.join(libraryDir, this.slugify(title || marketplaceItemId));
+      if (!previous && await fs.access(installPath).then(() => true).catch(() => false)) {
+        installPath = `${installPath}-${this.slugify(marketplaceItemId)}`;
+      }
+
+      if (await fs.access(installPath).then(() => true).catch(() => false)) {
+        backupPath = path.join(libraryDir, '.temp', `backup-${Date.now()}`);
+        await fs.rename(installPath, backupPath);
+      }
+      await fs.rename(packageRoot, installPath);
+      installed = true;
+
+      // Carry over what the app itself created in its old folder
+      if (backupPath && previous) {
+        await this.carryOverUserFiles(backupPath, installPath, previous, files);
+      }
+      onProgress(90, 'copied');
+
+      // 4. Record what we created
+      const manifest = {
+        manifestVersion: MANIFEST_VERSION,
+        marketplaceItemId,
+        title: title || null,
+        version: appInfo.version || null,
+        installPath,
+        executable,
+        archive: path.basename(archivePath),
+        archiveType: type,
+        archiveRoot: path.relative(tempDir, packageRoot).split(path.sep).join('/'), // Folder the files sit in inside the package
+        source: appInfo.source || previous?.source || null,
+        installedAt: new Date().toISOString(),
+        files,
+        directories
+      };
+      await this.writeManifest(manifestPath, manifest);
+
+      if (backupPath) {
+        await fs.rm(backupPath, { recursive: true, force: true }).catch(() => {});
+      }
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+      onProgress(100, 'installed');
+
+      console.log('✅ App installed:', installPath);
+      return {
+        installPath,
+        executablePath: path.join(installPath, executable),
+        manifestPath,
+        manifest,
+        size: files.reduce((total, file) => total + file.size, 0)
+      };
+    } catch (error) {
+      console.error('❌ App installation failed:', error);
+
+      // Roll back: drop the new files and put the previous install back
+      if (installed) {
+        await fs.rm(installPath, { recursive: true, force: true }).catch(() => {});
+      }
+      if (backupPath) {
+        await fs.rename(backupPath, installPath).catch(err => {
+          console.error('Failed to restore previous install:', err);
+        });
+      }
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+
+      throw error;
+    }
+  }
+
+  /**
+   * Compare an install against its manifest
+   * Returns { ok, checked, missing, modified } with relative file paths.
+   */
+  async verify(installedApp, manifest) {
+    const installPath = manifest.installPath || installedApp.installPath;
+    const missing = [];
+    const modified = [];
+
+    for (const file of manifest.files) {
+      const filePath = path.join(installPath, file.path);
+      const stats = await fs.lstat(filePath).catch(() => null);
+
+      if (!stats) {
+        missing.push(file.path);
+      } else if (stats.isFile() && (stats.size !== file.size || (file.sha256 && await hashFile(filePath) !== file.sha256))) {
+        modified.push(file.path);
+      }
+    }
+
+    return {
+      ok: missing.length === 0 && modified.length === 0,
+      checked: manifest.files.length,
+      missing,
+      modified,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Put broken files back from a copy of the app's package
+   * Only the listed files are touched; each must match its manifest hash.
+   * Returns { repaired, failed } with relative file paths.
+   */
+  async repairFromArchive(installedApp, manifest, archivePath, filePaths) {
+    const installPath = manifest.installPath || installedApp.installPath;
+    const tempDir = path.join(this.getLibraryDir(), '.temp', `repair-${Date.now()}`);
+    const repaired = [];
+    const failed = [];
+
+    try {
+      const type = await this.detectArchiveType(archivePath);
+      if (!type) {
+        throw new Error('Unsupported package format (expected .zip or .tar.gz)');
+      }
+
+      await this.extractArchive(archivePath, type, tempDir);
+      const packageRoot = path.join(tempDir, manifest.archiveRoot || '');
+
+      for (const filePath of filePaths) {
+        const file = manifest.files.find(f => f.path === filePath);
+        const source = path.join(packageRoot, filePath);
+
+        try {
+          if (!file) {
+            throw new Error('Not part of the install');
+          }
+          if (file.sha256 && await hashFile(source) !== file.sha256) {
+            throw new Error('Package has a different version of this file');
+          }
+
+          const target = path.join(installPath, filePath);
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.rm(target, { force: true });
+          await fs.copyFile(source, target);
+          const { mode } = await fs.stat(source);
+          await fs.chmod(target, mode);
+          repaired.push(filePath);
+        } catch (error) {
+          failed.push({ path: filePath, error: error.code === 'ENOENT' ? 'Missing from package' : error.message });
+        }
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    console.log(`🔧 Repaired ${repaired.length} file(s) of ${manifest.title || installedApp.title}`);
+    return { repaired, failed };
+  }
+
+  /**
+   * Copy files the app created after install (not in its old manifest and
+   * not shipped again) from the old folder into the new one
+   * Copied, not moved, so a rollback still finds them in the backup.
+   */
+  async carryOverUserFiles(oldDir, newDir, previousManifest, newFiles) {
+    const packaged = new Set([
+      ...previousManifest.files.map(f => f.path),
+      ...newFiles.map(f => f.path)
+    ]);
+    const { files } = await this.listFiles(oldDir);
+
+    for (const file of files.filter(f => !packaged.has(f.path))) {
+      const target = path.join(newDir, file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(oldDir, file.path), target).catch(err => {
+        console.error('Failed to keep user file:', file.path, err.message);
+      });
+    }
+  }
+}
+
+module.exports = AppInstaller;
@@ -0,0 +1,180 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { checkFreeSpace, createSpaceError } = require('../downloads/disk-space');
+const { hashFile } = require('../downloads/file-integrity');
+
+/**
+ * Point a path inside `from` at the same place inside `to`
+ * Paths outside `from` come back unchanged.
+ */
+function rebasePath(filePath, from, to) {
+  if (!filePath) {
+    return filePath;
+  }
+  const relative = path.relative(from, filePath);
+  if (relative === '') {
+    return to;
+  }
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return filePath;
+  }
+  return path.join(to, relative);
+}
+
+/**
+ * Files (with sizes), folders and symlinks under a folder
+ */
+async function listTree(rootDir) {
+  const files = [];
+  const directories = [];
+  const links = [];
+
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(rootDir, fullPath);
+
+      if (entry.isDirectory()) {
+        directories.push(relativePath);
+        await walk(fullPath);
+      } else if (entry.isSymbolicLink()) {
+        links.push(relativePath);
+      } else if (entry.isFile()) {
+        const { size } = await fs.stat(fullPath);
+        files.push({ path: relativePath, size });
+      }
+    }
+  };
+
+  await walk(rootDir);
+  return { files, directories, links };
+}
+
+/**
+ * Move an app's install folder (or lone executable) into another folder
+ * Copies everything and checks each copied file against the original (or the
+ * install manifest hash). onCopied({ from, to }) then repoints the library at
+ * the copy; the original is deleted only once that succeeded. A move on the
+ * same drive is a plain rename.
+ * Options: onProgress({ progress, stage, copiedBytes, totalBytes }), onCopied, manifest.
+ * Returns { from, to, originalRemoved }.
+ */
+async function moveInstall(sourcePath, destinationDir, options = {}) {
+  const { onProgress = () => {}, onCopied = async () => {}, manifest = null } = options;
+  const source = path.resolve(sourcePath);
+  const target = path.join(path.resolve(destinationDir), path.basename(source));
+
+  const relative = path.relative(source, target);
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error('Cannot move an app into its own folder');
+  }
+  if (await fs.lstat(target).then(() => true).catch(() => false)) {
+    throw new Error(`${target} already exists`);
+  }
+
+  const sourceStats = await fs.stat(source);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const targetDirStats = await fs.stat(path.dirname(target));
+
+  // Same drive - nothing to copy
+  if (sourceStats.dev === targetDirStats.dev) {
+    onProgress({ progress: 0, stage: 'moving', copiedBytes: 0, totalBytes: 0 });
+    let renamed = false;
+    try {
+      await fs.rename(source, target);
+      renamed = true;
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      // Bind mounts etc. report one device but can't rename across - copy instead
+    }
+
+    if (renamed) {
+      try {
+        await onCopied({ from: source, to: target });
+      } catch (error) {
+        await fs.rename(target, source).catch(() => {});
+        throw error;
+      }
+      onProgress({ progress: 100, stage: 'moved', copiedBytes: 0, totalBytes: 0 });
+      return { from: source, to: target, originalRemoved: true };
+    }
+  }
+
+  const isFolder = sourceStats.isDirectory();
+  const tree = isFolder
+    ? await listTree(source)
+    : { files: [{ path: '', size: sourceStats.size }], directories: [], links: [] };
+  const totalBytes = tree.files.reduce((total, file) => total + file.size, 0);
+
+  const spaceCheck = await checkFreeSpace(path.dirname(target), totalBytes);
+  if (!spaceCheck.ok) {
+    throw createSpaceError(spaceCheck);
+  }
+
+  const manifestHashes = new Map((manifest?.files || [])
+    .filter(file => file.sha256)
+    .map(file => [path.normalize(file.path), file.sha256]));
+
+  try {
+    // 1. Copy
+    let copiedBytes = 0;
+    const report = (stage, progress) => onProgress({ progress, stage, copiedBytes, totalBytes });
+    report('copying', 0);
+
+    if (isFolder) {
+      for (const directory of ['', ...tree.directories]) {
+        await fs.mkdir(path.join(target, directory), { recursive: true });
+      }
+    }
+    for (const file of tree.files) {
+      await fs.copyFile(path.join(source, file.path), path.join(target, file.path));
+      const { mode } = await fs.stat(path.join(source, file.path));
+      await fs.chmod(path.join(target, file.path), mode);
+      copiedBytes += file.size;
+      report('copying', totalBytes > 0 ? Math.round((copiedBytes / totalBytes) * 80) : 80);
+    }
+    for (const link of tree.links) {
+      await fs.symlink(await fs.readlink(path.join(source, link)), path.join(target, link));
+    }
+
+    // 2. Verify every copied file
+    let verifiedBytes = 0;
+    for (const file of tree.files) {
+      const copy = path.join(target, file.path);
+      const { size } = await fs.stat(copy);
+      const expected = manifestHashes.get(path.normalize(file.path)) || await hashFile(path.join(source, file.path));
+
+      if (size !== file.size || await hashFile(copy) !== expected) {
+        throw new Error(`Copy of ${file.path || path.basename(source)} doesn't match the original`);
+      }
+      verifiedBytes += file.size;
+      report('verifying', 80 + (totalBytes > 0 ? Math.round((verifiedBytes / totalBytes) * 15) : 15));
+    }
+
+    // 3. Switch the library over to the copy
+    await onCopied({ from: source, to: target });
+  } catch (error) {
+    // Leave the original untouched and drop the partial copy
+    await fs.rm(target, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+
+  // 4. Only now remove the original - the copy is in use, so a failure here just leaves it behind
+  onProgress({ progress: 95, stage: 'cleaning-up', copiedBytes: totalBytes, totalBytes });
+  const originalRemoved = await fs.rm(source, { recursive: true, force: true })
+    .then(() => true)
+    .catch(error => {
+      console.error('Failed to remove original after move:', error);
+      return false;
+    });
+  onProgress({ progress: 100, stage: 'moved', copiedBytes: totalBytes, totalBytes });
+
+  return { from: source, to: target, originalRemoved };
+}
+
+module.exports = {
+  rebasePath,
+  moveInstall
+};
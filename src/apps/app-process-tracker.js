@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+
+/**
+ * App Process Tracker for OTH Launcher
+ * Keeps track of the processes started by launch-app until they exit.
+ * Emits 'app-started' and 'app-exited' with a plain process record.
+ */
+class AppProcessTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.running = new Map(); // pid -> { record, child }
+  }
+
+  /**
+   * Start tracking a spawned child process
+   * info: { marketplaceItemId, title, executablePath }
+   */
+  track(child, info = {}) {
+    if (!child) {
+      return null;
+    }
+
+    // Failed to start (e.g. ENOENT) - report it instead of crashing on an unhandled 'error'
+    if (!child.pid) {
+      child.once('error', (error) => console.error('❌ App failed to start:', error.message));
+      return null;
+    }
+
+    const record = {
+      pid: child.pid,
+      marketplaceItemId: info.marketplaceItemId || null,
+      title: info.title || null,
+      executablePath: info.executablePath || null,
+      startedAt: new Date().toISOString(),
+      exitedAt: null,
+      exitCode: null,
+      signal: null
+    };
+
+    this.running.set(child.pid, { record, child });
+
+    // 'exit' may not follow an 'error', so whichever comes first ends tracking
+    const finish = (exitCode, signal) => {
+      if (!this.running.has(record.pid)) {
+        return;
+      }
+      this.running.delete(record.pid);
+
+      record.exitedAt = new Date().toISOString();
+      record.exitCode = exitCode ?? null;
+      record.signal = signal || null;
+
+      console.log(`⏹️ App exited: ${record.title || record.pid} (code ${record.exitCode})`);
+      this.emit('app-exited', { ...record });
+    };
+
+    child.once('exit', finish);
+    child.once('error', (error) => {
+      console.error('❌ App process error:', error.message);
+      finish(null, null);
+    });
+
+    console.log(`▶️ Tracking app process: ${record.title || record.pid} (pid ${record.pid})`);
+    this.emit('app-started', { ...record });
+    return { ...record };
+  }
+
+  /**
+   * Records of all tracked processes that are still running
+   */
+  getRunning() {
+    return Array.from(this.running.values()).map(({ record }) => ({ ...record }));
+  }
+
+  /**
+   * Running processes of one installed app
+   */
+  getRunningFor(marketplaceItemId) {
+    return this.getRunning().filter(record => record.marketplaceItemId === marketplaceItemId);
+  }
+
+  /**
+   * Number of tracked processes still running
+   */
+  getRunningCount() {
+    return this.running.size;
+  }
+}
+
+module.exports = AppProcessTracker;
@@ -0,0 +1,218 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Pre-launch scripts that run longer than this are stopped and the launch fails
+const DEFAULT_PRE_LAUNCH_TIMEOUT = 60 * 1000;
+
+// Profile used when an app has none saved
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Split a command line string into arguments
+ * Handles "double" and 'single' quotes. A backslash only escapes a quote
+ * (or, outside Windows, another backslash) so paths like C:\Tools\app.ini
+ * and \\server\share come through as typed.
+ */
+function parseArgs(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  const args = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+  const text = String(value || '');
+  const isEscapable = next => next === '"' || next === "'" || (next === '\\' && process.platform !== 'win32');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\\' && quote !== "'" && isEscapable(text[i + 1])) {
+      current += text[++i];
+      hasToken = true;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error('Unterminated quote in launch arguments');
+  }
+  if (hasToken) {
+    args.push(current);
+  }
+
+  return args;
+}
+
+/**
+ * Validate and clean up one profile
+ * Shape: { id, name, args, cwd, env, preLaunchScript, preLaunchTimeout }
+ */
+function normalizeProfile(profile, index = 0) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error('Invalid launch profile');
+  }
+
+  const env = {};
+  for (const [key, value] of Object.entries(profile.env || {})) {
+    if (!key || /[=\0]/.test(key)) {
+      throw new Error(`Invalid environment variable name: ${key}`);
+    }
+    env[key] = value === null ? null : String(value); // null removes an inherited variable
+  }
+
+  const timeout = parseInt(profile.preLaunchTimeout, 10);
+
+  return {
+    id: String(profile.id || (index === 0 ? DEFAULT_PROFILE_ID : `profile-${Date.now()}-${index}`)),
+    name: String(profile.name || profile.id || `Profile ${index + 1}`),
+    args: parseArgs(profile.args),
+    cwd: profile.cwd ? String(profile.cwd) : null,
+    env,
+    preLaunchScript: profile.preLaunchScript ? String(profile.preLaunchScript) : null,
+    preLaunchTimeout: timeout > 0 ? timeout : DEFAULT_PRE_LAUNCH_TIMEOUT
+  };
+}
+
+/**
+ * Saved profiles of an installed app, or a single empty default profile
+ */
+function getLaunchProfiles(installedApp) {
+  const profiles = installedApp.launchProfiles || [];
+  if (profiles.length === 0) {
+    return {
+      profiles: [normalizeProfile({ id: DEFAULT_PROFILE_ID, name: 'Default' })],
+      defaultProfileId: DEFAULT_PROFILE_ID
+    };
+  }
+
+  return {
+    profiles,
+    defaultProfileId: installedApp.defaultLaunchProfile || profiles[0].id
+  };
+}
+
+/**
+ * Validate a profile list before saving it on an installed app
+ */
+function normalizeLaunchProfiles(profiles, defaultProfileId) {
+  if (!Array.isArray(profiles)) {
+    throw new Error('Launch profiles must be a list');
+  }
+
+  const normalized = profiles.map(normalizeProfile);
+  const ids = new Set();
+  for (const profile of normalized) {
+    if (ids.has(profile.id)) {
+      throw new Error(`Duplicate launch profile id: ${profile.id}`);
+    }
+    ids.add(profile.id);
+  }
+
+  if (defaultProfileId && !ids.has(defaultProfileId)) {
+    throw new Error('Default launch profile not found');
+  }
+
+  return {
+    profiles: normalized,
+    defaultProfileId: defaultProfileId || normalized[0]?.id || null
+  };
+}
+
+/**
+ * Pick the profile to launch with (the requested one, else the app's default)
+ */
+function resolveLaunchProfile(installedApp, profileId) {
+  const { profiles, defaultProfileId } = getLaunchProfiles(installedApp);
+  const id = profileId || defaultProfileId;
+  const profile = profiles.find(p => p.id === id);
+
+  if (!profile) {
+    throw new Error(`Launch profile not found: ${id}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Turn a profile into spawn arguments and options for an app
+ * A relative cwd is taken from the app's folder, which is also the default.
+ */
+function buildSpawnOptions(installedApp, profile) {
+  const appDir = installedApp.installPath || path.dirname(installedApp.executablePath);
+  const cwd = profile.cwd ? path.resolve(appDir, profile.cwd) : appDir;
+
+  const env = { ...process.env };
+  for (const [key, value] of Object.entries(profile.env || {})) {
+    if (value === null) {
+      delete env[key];
+    } else {
+      env[key] = value;
+    }
+  }
+
+  return { args: profile.args || [], cwd, env };
+}
+
+/**
+ * Run a profile's pre-launch script through the system shell
+ * Resolves when it exits with code 0; rejects on failure or timeout.
+ */
+function runPreLaunchScript(profile, { cwd, env }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(profile.preLaunchScript, {
+      cwd,
+      env,
+      shell: true,
+      stdio: 'ignore',
+      windowsHide: true
+    });
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Pre-launch script timed out after ${profile.preLaunchTimeout / 1000}s`));
+    }, profile.preLaunchTimeout || DEFAULT_PRE_LAUNCH_TIMEOUT);
+
+    child.once('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Pre-launch script failed to start: ${error.message}`));
+    });
+
+    child.once('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Pre-launch script failed (${signal || `exit code ${code}`})`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  parseArgs,
+  getLaunchProfiles,
+  normalizeLaunchProfiles,
+  resolveLaunchProfile,
+  buildSpawnOptions,
+  runPreLaunchScript
+};
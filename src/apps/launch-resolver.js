@@ -0,0 +1,278 @@
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+
+// Extensions that only run on Windows
+const WINDOWS_EXTENSIONS = ['.exe', '.com', '.bat', '.cmd', '.msi'];
+
+// Shell launchers that may lack the exec bit after extraction
+const SCRIPT_EXTENSIONS = ['.sh', '.bash'];
+
+// Mach-O magic numbers (32/64-bit, both byte orders, and universal binaries)
+const MACHO_MAGIC = ['feedface', 'cefaedfe', 'feedfacf', 'cffaedfe', 'cafebabe'];
+
+const PLATFORM_NAMES = { win32: 'Windows', darwin: 'macOS', linux: 'Linux' };
+
+/**
+ * Error for a binary built for another OS
+ */
+function createPlatformError(filePath, targetPlatform) {
+  const error = new Error(
+    `${path.basename(filePath)} is a ${PLATFORM_NAMES[targetPlatform]} program and can't run on ` +
+    `${PLATFORM_NAMES[process.platform] || process.platform}. Install the ` +
+    `${PLATFORM_NAMES[process.platform] || process.platform} version of this app instead.`
+  );
+  error.code = 'UNSUPPORTED_PLATFORM';
+  error.targetPlatform = targetPlatform;
+  return error;
+}
+
+/**
+ * Identify a file from its first bytes: 'pe', 'elf', 'macho', 'script' or null
+ */
+async function detectBinaryType(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(4);
+    const { bytesRead } = await handle.read(buffer, 0, 4, 0);
+    if (bytesRead < 2) {
+      return null;
+    }
+
+    if (buffer[0] === 0x4d && buffer[1] === 0x5a) {
+      return 'pe'; // "MZ"
+    }
+    if (buffer[0] === 0x23 && buffer[1] === 0x21) {
+      return 'script'; // "#!"
+    }
+    if (bytesRead === 4) {
+      if (buffer.toString('latin1') === '\x7fELF') {
+        return 'elf';
+      }
+      if (MACHO_MAGIC.includes(buffer.toString('hex'))) {
+        return 'macho';
+      }
+    }
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Whether the current user may execute a file
+ */
+async function isExecutable(filePath) {
+  return fs.access(filePath, constants.X_OK).then(() => true).catch(() => false);
+}
+
+/**
+ * Decode the string escapes of a .desktop value (\s, \n, \t, \r, \\)
+ */
+function unescapeDesktopValue(value) {
+  return String(value).replace(/\\([sntr\\])/g, (match, code) =>
+    ({ s: ' ', n: '\n', t: '\t', r: '\r', '\\': '\\' })[code]
+  );
+}
+
+/**
+ * Split a .desktop Exec value into arguments (Desktop Entry spec quoting)
+ * String escapes are decoded first; inside "double quotes" a backslash then
+ * escapes ", `, $ and \.
+ */
+function parseExecLine(value) {
+  const text = unescapeDesktopValue(value);
+  const args = [];
+  let current = '';
+  let quoted = false;
+  let hasToken = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '\\' && /["`$\\]/.test(text[i + 1] || '')) {
+        current += text[++i];
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quote in Exec line');
+  }
+  if (hasToken) {
+    args.push(current);
+  }
+
+  return args;
+}
+
+/**
+ * Read the Exec (and Path) of a Linux .desktop entry
+ * Field codes such as %f/%U are dropped since we launch without files.
+ */
+async function parseDesktopEntry(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const entry = {};
+  let inMainGroup = false;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    if (line.startsWith('[')) {
+      inMainGroup = line === '[Desktop Entry]';
+      continue;
+    }
+    const separator = line.indexOf('=');
+    if (inMainGroup && separator > 0) {
+      entry[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  if (entry.Type && entry.Type !== 'Application') {
+    throw new Error(`${path.basename(filePath)} is not an application entry (Type=${entry.Type})`);
+  }
+  if (!entry.Exec) {
+    throw new Error(`${path.basename(filePath)} has no Exec line`);
+  }
+
+  const execArgs = parseExecLine(entry.Exec)
+    .filter(arg => !/^%[fFuUdDnNickvm]$/.test(arg))
+    .map(arg => arg.replace(/%%/g, '%'));
+
+  if (execArgs.length === 0) {
+    throw new Error(`${path.basename(filePath)} has an empty Exec line`);
+  }
+
+  return {
+    command: execArgs[0],
+    args: execArgs.slice(1),
+    cwd: entry.Path ? unescapeDesktopValue(entry.Path) : null
+  };
+}
+
+/**
+ * Work out how to start an installed app on this platform
+ * Returns { type: 'spawn', command, args, cwd } for programs, or
+ * { type: 'open' } for documents and demo files to hand to the OS.
+ * cwd is only set when the target names its own working directory.
+ * Throws with code UNSUPPORTED_PLATFORM for another OS's binaries and
+ * NOT_EXECUTABLE when the file lacks exec permission.
+ */
+async function resolveLaunchTarget(executablePath, args = []) {
+  const extension = path.extname(executablePath).toLowerCase();
+  const stats = await fs.stat(executablePath).catch(() => null);
+
+  if (!stats) {
+    const error = new Error(`App file not found: ${executablePath}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+
+  // macOS application bundles are folders
+  if (extension === '.app') {
+    if (process.platform !== 'darwin') {
+      throw createPlatformError(executablePath, 'darwin');
+    }
+    // -W waits for the app to quit, so the launched process tracks its lifetime
+    return {
+      type: 'spawn',
+      command: 'open',
+      args: ['-W', '-a', executablePath, ...(args.length > 0 ? ['--args', ...args] : [])],
+      cwd: null
+    };
+  }
+
+  if (stats.isDirectory()) {
+    return { type: 'open' };
+  }
+
+  const binaryType = await detectBinaryType(executablePath);
+
+  if (process.platform === 'win32') {
+    if (extension === '.bat' || extension === '.cmd') {
+      return { type: 'spawn', command: process.env.ComSpec || 'cmd.exe', args: ['/d', '/c', executablePath, ...args], cwd: null };
+    }
+    if (extension === '.exe' || extension === '.com' || binaryType === 'pe') {
+      return { type: 'spawn', command: executablePath, args, cwd: null };
+    }
+    if (binaryType === 'elf' || extension === '.appimage' || extension === '.desktop') {
+      throw createPlatformError(executablePath, 'linux');
+    }
+    if (binaryType === 'macho') {
+      throw createPlatformError(executablePath, 'darwin');
+    }
+    return { type: 'open' };
+  }
+
+  if (binaryType === 'pe' || WINDOWS_EXTENSIONS.includes(extension)) {
+    throw createPlatformError(executablePath, 'win32');
+  }
+
+  if (extension === '.desktop') {
+    if (process.platform !== 'linux') {
+      throw createPlatformError(executablePath, 'linux');
+    }
+    const entry = await parseDesktopEntry(executablePath);
+    return { type: 'spawn', command: entry.command, args: [...entry.args, ...args], cwd: entry.cwd };
+  }
+
+  if (binaryType === 'elf' && process.platform === 'darwin') {
+    throw createPlatformError(executablePath, 'linux');
+  }
+  if (binaryType === 'macho' && process.platform !== 'darwin') {
+    throw createPlatformError(executablePath, 'darwin');
+  }
+
+  const isAppImage = extension === '.appimage';
+  const isScript = binaryType === 'script' || SCRIPT_EXTENSIONS.includes(extension);
+
+  if (!binaryType && !isAppImage && !isScript) {
+    return { type: 'open' };
+  }
+
+  if (!await isExecutable(executablePath)) {
+    if (isAppImage) {
+      // AppImages lose their exec bit when downloaded
+      console.log('🔧 Making AppImage executable:', executablePath);
+      await fs.chmod(executablePath, stats.mode | 0o111);
+    } else if (SCRIPT_EXTENSIONS.includes(extension)) {
+      // Shell launchers run through sh without needing the exec bit
+      return { type: 'spawn', command: '/bin/sh', args: [executablePath, ...args], cwd: null };
+    } else {
+      const error = new Error(
+        `${path.basename(executablePath)} is not executable. Run "chmod +x" on it or reinstall the app.`
+      );
+      error.code = 'NOT_EXECUTABLE';
+      throw error;
+    }
+  }
+
+  return { type: 'spawn', command: executablePath, args, cwd: null };
+}
+
+module.exports = {
+  createPlatformError,
+  detectBinaryType,
+  parseDesktopEntry,
+  resolveLaunchTarget
+};
@@ -0,0 +1,233 @@
+// Sort keys accepted by query() and the installed-app value each one reads
+const SORTERS = {
+  title: app => String(app.title || '').toLowerCase(),
+  lastLaunched: app => app.usage?.lastStartedAt || '',
+  size: app => app.size || 0,
+  installedAt: app => app.installedAt || '',
+  playtime: app => app.usage?.totalSeconds || 0
+};
+
+/**
+ * Library Organizer for OTH Launcher
+ * User-defined collections (`library-collections`) plus per-app tags,
+ * favorite and hidden flags kept on the `installed-apps` entries.
+ */
+class LibraryOrganizer {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * All collections
+   */
+  getCollections() {
+    return this.store.get('library-collections', []);
+  }
+
+  /**
+   * Create a collection
+   */
+  createCollection({ name, color = null } = {}) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Collection name is required');
+    }
+
+    const collections = this.getCollections();
+    if (collections.some(c => c.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`Collection "${trimmed}" already exists`);
+    }
+
+    const collection = {
+      id: `col-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmed,
+      color,
+      createdAt: new Date().toISOString()
+    };
+    collections.push(collection);
+    this.store.set('library-collections', collections);
+    return collection;
+  }
+
+  /**
+   * Rename or recolor a collection
+   */
+  updateCollection(collectionId, { name, color } = {}) {
+    const collections = this.getCollections();
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) {
+        throw new Error('Collection name is required');
+      }
+      if (collections.some(c => c.id !== collectionId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`Collection "${trimmed}" already exists`);
+      }
+      collection.name = trimmed;
+    }
+    if (color !== undefined) {
+      collection.color = color;
+    }
+
+    this.store.set('library-collections', collections);
+    return collection;
+  }
+
+  /**
+   * Delete a collection (its apps stay installed)
+   */
+  deleteCollection(collectionId) {
+    const collections = this.getCollections();
+    if (!collections.some(c => c.id === collectionId)) {
+      throw new Error('Collection not found');
+    }
+
+    this.store.set('library-collections', collections.filter(c => c.id !== collectionId));
+    this.updateApps(null, app => {
+      if (app.collections?.includes(collectionId)) {
+        app.collections = app.collections.filter(id => id !== collectionId);
+      }
+    });
+  }
+
+  /**
+   * Change installed-apps entries in place and save
+   * marketplaceItemId null applies the change to every app.
+   */
+  updateApps(marketplaceItemId, update) {
+    const installedApps = this.store.get('installed-apps', []);
+    const targets = marketplaceItemId === null
+      ? installedApps
+      : installedApps.filter(app => app.marketplaceItemId === marketplaceItemId);
+
+    if (marketplaceItemId !== null && targets.length === 0) {
+      throw new Error('App not found');
+    }
+
+    targets.forEach(update);
+    this.store.set('installed-apps', installedApps);
+    return targets[0] || null;
+  }
+
+  /**
+   * Add an app to a collection
+   */
+  addToCollection(marketplaceItemId, collectionId) {
+    if (!this.getCollections().some(c => c.id === collectionId)) {
+      throw new Error('Collection not found');
+    }
+
+    return this.updateApps(marketplaceItemId, app => {
+      app.collections = [...new Set([...(app.collections || []), collectionId])];
+    });
+  }
+
+  /**
+   * Take an app out of a collection
+   */
+  removeFromCollection(marketplaceItemId, collectionId) {
+    return this.updateApps(marketplaceItemId, app => {
+      app.collections = (app.collections || []).filter(id => id !== collectionId);
+    });
+  }
+
+  /**
+   * Replace an app's tags (trimmed, de-duplicated ignoring case)
+   */
+  setTags(marketplaceItemId, tags) {
+    const unique = new Map();
+    for (const tag of [].concat(tags || [])) {
+      const trimmed = String(tag).trim();
+      if (trimmed && !unique.has(trimmed.toLowerCase())) {
+        unique.set(trimmed.toLowerCase(), trimmed);
+      }
+    }
+
+    return this.updateApps(marketplaceItemId, app => {
+      app.tags = Array.from(unique.values());
+    });
+  }
+
+  /**
+   * Mark or unmark an app as favorite
+   */
+  setFavorite(marketplaceItemId, favorite) {
+    return this.updateApps(marketplaceItemId, app => {
+      app.favorite = !!favorite;
+    });
+  }
+
+  /**
+   * Hide or show an app in the library
+   */
+  setHidden(marketplaceItemId, hidden) {
+    return this.updateApps(marketplaceItemId, app => {
+      app.hidden = !!hidden;
+    });
+  }
+
+  /**
+   * Every tag in use with how many apps carry it
+   */
+  getTags() {
+    const counts = new Map();
+    for (const app of this.store.get('installed-apps', [])) {
+      for (const tag of app.tags || []) {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }
+    }
+    return Array.from(counts.values()).sort((a, b) => a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Filter and sort installed apps
+   * Options: { collection, tag, favorite, includeHidden, hiddenOnly, search,
+   * sortBy: 'title' | 'lastLaunched' | 'size' | 'installedAt' | 'playtime', order: 'asc' | 'desc' }
+   * Hidden apps are left out unless includeHidden/hiddenOnly is set.
+   */
+  query(options = {}) {
+    const { collection, tag, favorite, includeHidden = false, hiddenOnly = false, search, sortBy, order } = options;
+    const searchText = String(search || '').trim().toLowerCase();
+    const tagKey = tag ? String(tag).toLowerCase() : null;
+
+    let apps = this.store.get('installed-apps', []).filter(app =>
+      (hiddenOnly ? app.hidden : includeHidden || !app.hidden) &&
+      (!collection || (app.collections || []).includes(collection)) &&
+      (!tagKey || (app.tags || []).some(t => t.toLowerCase() === tagKey)) &&
+      (favorite === undefined || favorite === null || !!app.favorite === !!favorite) &&
+      (!searchText ||
+        String(app.title || '').toLowerCase().includes(searchText) ||
+        (app.tags || []).some(t => t.toLowerCase().includes(searchText)))
+    );
+
+    if (sortBy) {
+      const getValue = SORTERS[sortBy];
+      if (!getValue) {
+        throw new Error(`Unknown sort: ${sortBy}`);
+      }
+
+      // Recent, big and long-played first unless asked otherwise; titles A-Z
+      const direction = (order || (sortBy === 'title' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+      apps = apps
+        .map((app, index) => ({ app, index, value: getValue(app) }))
+        .sort((a, b) => {
+          if (a.value === b.value) {
+            return a.index - b.index;
+          }
+          return (a.value < b.value ? -1 : 1) * direction;
+        })
+        .map(({ app }) => app);
+    }
+
+    return apps;
+  }
+}
+
+module.exports = LibraryOrganizer;
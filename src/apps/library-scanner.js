@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Order used when the same executable is found by more than one rule
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+// Files download-app names "<title>-<marketplaceItemId>.<ext>"
+const DOWNLOAD_FILE_NAME = /^(.+)-([a-z0-9]{8,})$/i;
+
+/**
+ * Library Scanner for OTH Launcher
+ * Finds apps that are on disk but missing from `installed-apps` (after a
+ * launcher reinstall or a move to a new machine) and matches them to
+ * marketplace items:
+ *   high   - install manifest, or a finished download of a known item
+ *   medium - file named by download-app, or an exact name match
+ *   low    - partial name match (marketplace id still needs confirming)
+ */
+class LibraryScanner {
+  constructor(store, appInstaller) {
+    this.store = store;
+    this.appInstaller = appInstaller;
+  }
+
+  /**
+   * Letters and digits only, for comparing names
+   */
+  normalizeName(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Whether a path exists
+   */
+  async exists(filePath) {
+    return fs.access(filePath).then(() => true).catch(() => false);
+  }
+
+  /**
+   * Apps the library's install manifests describe
+   * A library folder copied from another machine is found under its new path.
+   */
+  async scanManifests() {
+    const libraryDir = this.appInstaller.getLibraryDir();
+    const manifestsDir = path.dirname(this.appInstaller.getManifestPath('app'));
+    const candidates = [];
+
+    const entries = await fs.readdir(manifestsDir).catch(() => []);
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const manifestPath = path.join(manifestsDir, entry);
+      let manifest;
+      try {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+      } catch (error) {
+        continue;
+      }
+
+      const installPath = await this.exists(manifest.installPath)
+        ? manifest.installPath
+        : path.join(libraryDir, path.basename(manifest.installPath || ''));
+      const executablePath = path.join(installPath, manifest.executable || '');
+
+      if (!manifest.executable || !await this.exists(executablePath)) {
+        continue;
+      }
+
+      candidates.push({
+        marketplaceItemId: manifest.marketplaceItemId,
+        title: manifest.title,
+        version: manifest.version,
+        executablePath,
+        installPath,
+        manifestPath,
+        confidence: 'high',
+        source: 'manifest',
+        reason: 'Install manifest'
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Finished downloads whose file is still on disk
+   * Kept packages (zip/tar.gz) are skipped - they are archives, not programs.
+   */
+  async scanDownloads() {
+    const { complete = [] } = this.store.get('download-queues', {});
+    const candidates = [];
+
+    for (const download of complete) {
+      const info = download.info || {};
+      if (!info.marketplaceItemId || !download.filePath || !await this.exists(download.filePath)) {
+        continue;
+      }
+      if (await this.appInstaller.detectArchiveType(download.filePath).catch(() => null)) {
+        continue;
+      }
+
+      candidates.push({
+        marketplaceItemId: info.marketplaceItemId,
+        title: info.title || download.displayName || download.name,
+        version: info.version || download.version,
+        executablePath: download.filePath,
+        installPath: null,
+        confidence: 'high',
+        source: 'download',
+        reason: 'Downloaded by the launcher'
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Match a program found in a folder against file naming and known items
+   * knownApps: [{ marketplaceItemId, title }] (e.g. the user's purchases)
+   */
+  matchExecutable(executablePath, folder, knownApps) {
+    const extension = path.extname(executablePath);
+    const baseName = path.basename(executablePath, extension);
+    const parentName = path.basename(path.dirname(executablePath));
+    const installPath = path.dirname(executablePath) === folder ? null : path.dirname(executablePath);
+    const base = { executablePath, installPath, source: 'scan' };
+
+    // "<title>-<marketplaceItemId>.exe" from download-app
+    const named = DOWNLOAD_FILE_NAME.exec(baseName);
+    if (named) {
+      const known = knownApps.find(item => String(item.marketplaceItemId) === named[2]);
+      if (known) {
+        return { ...base, marketplaceItemId: known.marketplaceItemId, title: known.title, confidence: 'high', reason: 'File name contains the marketplace id' };
+      }
+      if (knownApps.length === 0) {
+        return { ...base, marketplaceItemId: named[2], title: named[1].replace(/_/g, ' '), confidence: 'medium', reason: 'Launcher download file name' };
+      }
+    }
+
+    // Program or folder named after a known item
+    const names = [this.normalizeName(baseName), this.normalizeName(parentName)];
+    for (const item of knownApps) {
+      const title = this.normalizeName(item.title);
+      if (title && names.includes(title)) {
+        return { ...base, marketplaceItemId: item.marketplaceItemId, title: item.title, confidence: 'medium', reason: 'Name matches' };
+      }
+    }
+    for (const item of knownApps) {
+      const title = this.normalizeName(item.title);
+      if (title.length >= 4 && names.some(name => name.includes(title) || (name.length >= 4 && title.includes(name)))) {
+        return { ...base, marketplaceItemId: item.marketplaceItemId, title: item.title, confidence: 'low', reason: 'Name partly matches' };
+      }
+    }
+
+    // Unknown program - the user has to say which item it is
+    return { ...base, marketplaceItemId: null, title: baseName, confidence: 'low', reason: 'Unmatched program' };
+  }
+
+  /**
+   * Scan the library, download history and folders for unregistered apps
+   * Options: { folders, knownApps, includeUnmatched }
+   * Returns candidates, best match per executable, highest confidence first.
+   */
+  async scan(options = {}) {
+    const { folders = [], knownApps = [], includeUnmatched = false } = options;
+    const settings = this.store.get('launcher-settings', {});
+    const scanFolders = [...new Set([
+      ...folders,
+      settings.downloads?.location,
+      this.appInstaller.getLibraryDir()
+    ].filter(Boolean).map(folder => path.resolve(folder)))];
+
+    const candidates = [
+      ...await this.scanManifests(),
+      ...await this.scanDownloads()
+    ];
+
+    for (const folder of scanFolders) {
+      if (!await this.exists(folder)) {
+        continue;
+      }
+      console.log('🔍 Scanning for installations:', folder);
+
+      const programs = await this.appInstaller.findExecutableCandidates(folder).catch(error => {
+        console.error('Failed to scan folder:', folder, error.message);
+        return [];
+      });
+      for (const program of programs.filter(p => p.platform === process.platform)) {
+        const match = this.matchExecutable(program.path, folder, knownApps);
+        if (match.marketplaceItemId || includeUnmatched) {
+          candidates.push(match);
+        }
+      }
+    }
+
+    // One candidate per executable (the most confident), skipping registered apps
+    const installedApps = this.store.get('installed-apps', []);
+    const byPath = new Map();
+    for (const candidate of candidates) {
+      const key = path.resolve(candidate.executablePath);
+      const current = byPath.get(key);
+      if (!current || CONFIDENCE_RANK[candidate.confidence] > CONFIDENCE_RANK[current.confidence]) {
+        byPath.set(key, candidate);
+      }
+    }
+
+    return Array.from(byPath.values())
+      .filter(candidate => !installedApps.some(app =>
+        app.executablePath && path.resolve(app.executablePath) === path.resolve(candidate.executablePath)
+      ))
+      .map(candidate => ({
+        ...candidate,
+        // Registered under another path - re-registering points the entry here
+        alreadyRegistered: !!candidate.marketplaceItemId &&
+          installedApps.some(app => app.marketplaceItemId === candidate.marketplaceItemId)
+      }))
+      .sort((a, b) => CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]);
+  }
+}
+
+module.exports = LibraryScanner;
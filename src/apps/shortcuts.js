@@ -0,0 +1,193 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { app, shell } = require('electron');
+const { resolveLaunchTarget } = require('./launch-resolver');
+
+// Where shortcuts can be created
+const SHORTCUT_LOCATIONS = ['desktop', 'menu'];
+
+/**
+ * Folder for a shortcut location on this platform
+ * Linux uses the XDG applications folder for the menu, Windows the Start Menu
+ * and macOS ~/Applications.
+ */
+function getShortcutDir(location) {
+  if (location === 'desktop') {
+    return app.getPath('desktop');
+  }
+
+  if (process.platform === 'win32') {
+    return path.join(app.getPath('appData'), 'Microsoft', 'Windows', 'Start Menu', 'Programs');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(app.getPath('home'), 'Applications');
+  }
+
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'applications');
+}
+
+/**
+ * Whether a path sits directly in a folder shortcuts are created in
+ */
+function isInShortcutDir(shortcutPath) {
+  const parent = path.dirname(path.resolve(shortcutPath));
+  return SHORTCUT_LOCATIONS.some(location => path.resolve(getShortcutDir(location)) === parent);
+}
+
+/**
+ * Full path of an app's shortcut in a location
+ */
+function getShortcutPath(installedApp, location) {
+  const title = String(installedApp.title || installedApp.marketplaceItemId).replace(/[<>:"/\\|?*\x00-\x1f]/g, '').trim() || 'App';
+
+  if (process.platform === 'win32') {
+    return path.join(getShortcutDir(location), `${title}.lnk`);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(getShortcutDir(location), path.extname(installedApp.executablePath) === '.app' ? `${title}.app` : title);
+  }
+
+  // Prefixed so our entries can't clash with the system's own
+  const id = String(installedApp.marketplaceItemId).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  return path.join(getShortcutDir(location), `oth-${id}.desktop`);
+}
+
+/**
+ * Quote one argument of a .desktop Exec line
+ */
+function quoteExecArg(value) {
+  const text = String(value).replace(/%/g, '%%');
+  if (!/[\s"'\\`$<>~|&;*?#()]/.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/(["`$\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Escape a value for a .desktop key (string/localestring)
+ */
+function escapeDesktopValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+}
+
+/**
+ * Icon file of an app, if it has one on disk
+ */
+async function getIconPath(installedApp) {
+  const icon = installedApp.iconPath || installedApp.icon;
+  if (!icon || !path.isAbsolute(icon)) {
+    return null;
+  }
+  return fs.access(icon).then(() => icon).catch(() => null);
+}
+
+/**
+ * Write an XDG desktop entry
+ */
+async function writeDesktopEntry(shortcutPath, installedApp, target) {
+  const icon = await getIconPath(installedApp);
+  const lines = [
+    '[Desktop Entry]',
+    'Type=Application',
+    'Version=1.0',
+    `Name=${escapeDesktopValue(installedApp.title || installedApp.marketplaceItemId)}`,
+    'Comment=Installed with OTH Launcher',
+    `Exec=${escapeDesktopValue([target.command, ...target.args].map(quoteExecArg).join(' '))}`, // Quoted, then string-escaped as the spec requires
+    `Path=${escapeDesktopValue(target.cwd)}`,
+    icon ? `Icon=${escapeDesktopValue(icon)}` : null,
+    'Terminal=false',
+    `X-OTH-MarketplaceItemId=${escapeDesktopValue(installedApp.marketplaceItemId)}`
+  ].filter(Boolean);
+
+  await fs.mkdir(path.dirname(shortcutPath), { recursive: true });
+  await fs.writeFile(shortcutPath, lines.join('\n') + '\n', { mode: 0o755 });
+  await fs.chmod(shortcutPath, 0o755);
+
+  // GNOME only launches desktop icons marked as trusted; other desktops don't have gio
+  await new Promise(resolve => {
+    execFile('gio', ['set', shortcutPath, 'metadata::trusted', 'true'], { timeout: 5000 }, () => resolve());
+  });
+}
+
+/**
+ * Create a shortcut to an installed app
+ * Returns { location, path, createdAt }.
+ */
+async function createShortcut(installedApp, location) {
+  if (!SHORTCUT_LOCATIONS.includes(location)) {
+    throw new Error(`Unknown shortcut location: ${location}`);
+  }
+  if (!installedApp.executablePath) {
+    throw new Error(`${installedApp.title} has no executable to point a shortcut at`);
+  }
+
+  const shortcutPath = getShortcutPath(installedApp, location);
+  const target = await resolveLaunchTarget(installedApp.executablePath);
+  const cwd = target.cwd || installedApp.installPath || path.dirname(installedApp.executablePath);
+
+  if (process.platform === 'win32') {
+    await fs.mkdir(path.dirname(shortcutPath), { recursive: true });
+    const icon = await getIconPath(installedApp);
+    const created = shell.writeShortcutLink(shortcutPath, 'replace', {
+      target: target.type === 'spawn' ? target.command : installedApp.executablePath,
+      args: target.type === 'spawn' ? target.args.map(arg => (/\s/.test(arg) ? `"${arg}"` : arg)).join(' ') : '',
+      cwd,
+      description: installedApp.title,
+      ...(icon ? { icon, iconIndex: 0 } : {})
+    });
+    if (!created) {
+      throw new Error(`Failed to create shortcut ${shortcutPath}`);
+    }
+  } else if (process.platform === 'darwin') {
+    // macOS has no shortcut files - a symlink (Finder shows it as an alias) does the job
+    await fs.mkdir(path.dirname(shortcutPath), { recursive: true });
+    await fs.rm(shortcutPath, { force: true });
+    await fs.symlink(installedApp.executablePath, shortcutPath);
+  } else {
+    if (target.type !== 'spawn') {
+      throw new Error(`${path.basename(installedApp.executablePath)} is not a program`);
+    }
+    await writeDesktopEntry(shortcutPath, installedApp, { ...target, cwd });
+  }
+
+  console.log('🔗 Shortcut created:', shortcutPath);
+  return { location, path: shortcutPath, createdAt: new Date().toISOString() };
+}
+
+/**
+ * Delete a shortcut file (missing ones count as removed)
+ */
+async function removeShortcut(shortcutPath) {
+  try {
+    await fs.unlink(shortcutPath);
+    console.log('🗑️ Shortcut removed:', shortcutPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Recorded shortcuts of an app, each with whether it is still on disk
+ */
+async function listShortcuts(installedApp) {
+  return Promise.all((installedApp.shortcuts || []).map(async shortcut => ({
+    ...shortcut,
+    exists: await fs.lstat(shortcut.path).then(() => true).catch(() => false)
+  })));
+}
+
+module.exports = {
+  SHORTCUT_LOCATIONS,
+  getShortcutPath,
+  isInShortcutDir,
+  createShortcut,
+  removeShortcut,
+  listShortcuts
+};
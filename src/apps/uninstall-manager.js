@@ -0,0 +1,342 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { app } = require('electron');
+const { isInShortcutDir } = require('./shortcuts');
+
+// Quarantined uninstalls are kept this many days (launcher-settings.library.quarantineDays)
+const DEFAULT_QUARANTINE_DAYS = 7;
+
+/**
+ * Uninstall Manager for OTH Launcher
+ * Plans what an uninstall removes (so it can be previewed), refuses paths
+ * outside the app's own folder, the download location or the library unless
+ * confirmed, and moves removed files into a quarantine folder from which
+ * restore() can put the app back until the entry expires.
+ */
+class UninstallManager {
+  constructor(store, appInstaller) {
+    this.store = store;
+    this.appInstaller = appInstaller;
+    this.quarantineDir = path.join(app.getPath('userData'), 'Quarantine');
+  }
+
+  /**
+   * Whether `child` is `parent` or inside it
+   */
+  isInside(child, parent) {
+    const relative = path.relative(path.resolve(parent), path.resolve(child));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Folders an uninstall may remove things from
+   */
+  getAllowedRoots() {
+    const settings = this.store.get('launcher-settings', {});
+    return [settings.downloads?.location, this.appInstaller.getLibraryDir()].filter(Boolean);
+  }
+
+  /**
+   * Folders that must never be removed as a whole
+   */
+  getProtectedPaths() {
+    const names = ['home', 'desktop', 'documents', 'downloads', 'music', 'pictures', 'videos', 'appData', 'userData', 'temp'];
+    const paths = names.map(name => {
+      try {
+        return app.getPath(name);
+      } catch (error) {
+        return null;
+      }
+    });
+
+    return [...paths, ...this.getAllowedRoots(), path.parse(process.cwd()).root, process.env.SystemRoot, process.env.ProgramFiles]
+      .filter(Boolean)
+      .map(p => path.resolve(p));
+  }
+
+  /**
+   * Why a folder isn't a believable install folder (null if it is)
+   * Catches registrations pointing at Downloads, the home folder or a drive root.
+   */
+  getInstallPathProblem(installPath) {
+    const resolved = path.resolve(installPath);
+    if (resolved === path.parse(resolved).root) {
+      return 'is a drive root';
+    }
+
+    for (const protectedPath of this.getProtectedPaths()) {
+      if (this.isInside(protectedPath, resolved)) {
+        return protectedPath === resolved
+          ? `is a system or user folder (${protectedPath})`
+          : `contains ${protectedPath}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Size and file list of a file or folder
+   */
+  async describePath(targetPath) {
+    const stats = await fs.lstat(targetPath).catch(() => null);
+    if (!stats) {
+      return null;
+    }
+    if (!stats.isDirectory()) {
+      return { type: 'file', size: stats.size, files: [path.basename(targetPath)] };
+    }
+
+    const files = [];
+    let size = 0;
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          files.push(path.relative(targetPath, fullPath));
+          size += (await fs.lstat(fullPath)).size;
+        }
+      }
+    };
+    await walk(targetPath);
+    return { type: 'folder', size, files };
+  }
+
+  /**
+   * Work out what uninstalling an app would remove, without touching anything
+   * Returns { installPath, items, kept, totalSize, requiresConfirmation }. Each item is
+   * { path, type, size, files, kind, safe, reason }; unsafe items need
+   * confirmUnsafe to be removed.
+   */
+  async planUninstall(installedApp) {
+    const items = [];
+    let kept = [];
+    const allowedRoots = this.getAllowedRoots();
+    const manifest = installedApp.manifestPath ? await this.appInstaller.readManifest(installedApp) : null;
+
+    // Skips paths already covered by a listed file or removable folder
+    const addItem = async (targetPath, kind, check) => {
+      if (!targetPath || items.some(item =>
+        path.resolve(item.path) === path.resolve(targetPath) ||
+        (item.type === 'folder' && item.safe && this.isInside(targetPath, item.path))
+      )) {
+        return;
+      }
+      const description = await this.describePath(targetPath);
+      if (!description) {
+        return;
+      }
+      const reason = check(description);
+      items.push({ path: targetPath, kind, ...description, safe: !reason, reason });
+    };
+
+    let installPath = installedApp.installPath || null;
+
+    if (manifest) {
+      // Exactly the files the installer created; the app's own files stay.
+      // Only manifests the installer wrote (in the library's manifest folder) are trusted.
+      const manifestProblem = this.isInside(installedApp.manifestPath, path.dirname(this.appInstaller.getManifestPath('app')))
+        ? null
+        : 'Install manifest is outside the library';
+      installPath = manifest.installPath || installPath;
+      const packaged = new Set(manifest.files.map(file => path.normalize(file.path)));
+      for (const file of manifest.files) {
+        const filePath = path.join(installPath, file.path);
+        await addItem(filePath, 'installed-file', () =>
+          manifestProblem || (this.isInside(filePath, installPath) ? null : 'Manifest entry points outside the install folder')
+        );
+      }
+
+      const current = await this.describePath(installPath);
+      kept = (current?.files || []).filter(file => !packaged.has(path.normalize(file)));
+      await addItem(installedApp.manifestPath, 'manifest', description =>
+        manifestProblem || (description.type === 'file' ? null : 'Install manifest is not a file')
+      );
+    } else {
+      const installPathProblem = installPath ? this.getInstallPathProblem(installPath) : null;
+
+      // The registered folder, as long as it is a plausible install folder
+      await addItem(installPath, 'install-folder', () => installPathProblem && `Install folder ${installPathProblem}`);
+
+      // A lone executable only if it sits in a folder we manage
+      await addItem(installedApp.executablePath, 'executable', () => {
+        const ownFolder = installPath && !installPathProblem && this.isInside(installedApp.executablePath, installPath);
+        const managed = allowedRoots.some(root => this.isInside(installedApp.executablePath, root));
+        return ownFolder || managed ? null : 'Outside the app folder, download location and library';
+      });
+    }
+
+    // Only shortcut files in the desktop/menu folders - anything else recorded is left alone
+    for (const shortcut of installedApp.shortcuts || []) {
+      if (!shortcut?.path || !isInShortcutDir(shortcut.path)) {
+        console.warn('⚠️ Ignoring shortcut outside the desktop and menu folders:', shortcut?.path);
+        continue;
+      }
+      const stats = await fs.lstat(shortcut.path).catch(() => null);
+      if (stats && !stats.isDirectory()) {
+        await addItem(shortcut.path, 'shortcut', () => null);
+      }
+    }
+
+    return {
+      installPath,
+      items,
+      kept,
+      totalSize: items.reduce((total, item) => total + item.size, 0),
+      requiresConfirmation: items.some(item => !item.safe)
+    };
+  }
+
+  /**
+   * Move a file or folder, copying when it lives on another drive
+   */
+  async moveItem(from, to) {
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    try {
+      await fs.rename(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.cp(from, to, { recursive: true, verbatimSymlinks: true });
+      await fs.rm(from, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Remove empty folders from `dir` down to (and including) `stopAt`
+   */
+  async removeEmptyFolders(dir, stopAt) {
+    let current = path.resolve(dir);
+    while (this.isInside(current, stopAt)) {
+      try {
+        await fs.rmdir(current);
+      } catch (error) {
+        return;
+      }
+      if (current === path.resolve(stopAt)) {
+        return;
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Quarantined uninstalls, newest first
+   */
+  list() {
+    return this.store.get('app-quarantine', []).slice().reverse();
+  }
+
+  /**
+   * Move what a plan removes into quarantine and remember the library entry
+   * Unsafe items are skipped unless confirmUnsafe is set.
+   * Returns { entry, moved, skipped, errors }.
+   */
+  async quarantine(installedApp, plan, { confirmUnsafe = false } = {}) {
+    const settings = this.store.get('launcher-settings', {});
+    const days = settings.library?.quarantineDays > 0 ? settings.library.quarantineDays : DEFAULT_QUARANTINE_DAYS;
+    const id = `q-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entryDir = path.join(this.quarantineDir, id);
+    const moved = [];
+    const skipped = [];
+    const errors = [];
+
+    for (const [index, item] of plan.items.entries()) {
+      if (!item.safe && !confirmUnsafe) {
+        skipped.push(item);
+        continue;
+      }
+      // Went along with a folder moved earlier
+      if (moved.some(m => m.type === 'folder' && this.isInside(item.path, m.originalPath))) {
+        continue;
+      }
+
+      const quarantinePath = path.join(entryDir, `${index}-${path.basename(item.path)}`);
+      try {
+        await this.moveItem(item.path, quarantinePath);
+        moved.push({ originalPath: item.path, quarantinePath, type: item.type, kind: item.kind, size: item.size });
+        if (item.kind === 'installed-file') {
+          await this.removeEmptyFolders(path.dirname(item.path), plan.installPath);
+        }
+      } catch (error) {
+        errors.push(`${item.path}: ${error.message}`);
+      }
+    }
+
+    const now = new Date();
+    const entry = {
+      id,
+      marketplaceItemId: installedApp.marketplaceItemId,
+      title: installedApp.title,
+      app: installedApp, // Library entry restored as is
+      items: moved,
+      size: moved.reduce((total, item) => total + item.size, 0),
+      quarantinedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    const entries = this.store.get('app-quarantine', []);
+    entries.push(entry);
+    this.store.set('app-quarantine', entries);
+
+    console.log(`🧺 Quarantined ${moved.length} item(s) of ${installedApp.title} until ${entry.expiresAt}`);
+    return { entry, moved, skipped, errors };
+  }
+
+  /**
+   * Put a quarantined app back where it was
+   * Returns the library entry to re-register.
+   */
+  async restore(quarantineId) {
+    const entries = this.store.get('app-quarantine', []);
+    const entry = entries.find(e => e.id === quarantineId);
+    if (!entry) {
+      throw new Error('Quarantined app not found (it may have expired)');
+    }
+
+    const installedApps = this.store.get('installed-apps', []);
+    if (installedApps.some(a => a.marketplaceItemId === entry.marketplaceItemId)) {
+      throw new Error(`${entry.title} is installed again - uninstall it before restoring`);
+    }
+
+    for (const item of entry.items) {
+      if (await fs.lstat(item.originalPath).then(() => true).catch(() => false)) {
+        throw new Error(`${item.originalPath} already exists`);
+      }
+    }
+
+    for (const item of entry.items) {
+      await this.moveItem(item.quarantinePath, item.originalPath);
+    }
+
+    this.store.set('app-quarantine', entries.filter(e => e.id !== quarantineId));
+    await fs.rm(path.join(this.quarantineDir, entry.id), { recursive: true, force: true }).catch(() => {});
+
+    console.log('↩️ Restored from quarantine:', entry.title);
+    return entry.app;
+  }
+
+  /**
+   * Permanently delete quarantined uninstalls past their expiry
+   */
+  async purgeExpired(now = new Date()) {
+    const entries = this.store.get('app-quarantine', []);
+    const expired = entries.filter(e => new Date(e.expiresAt) <= now);
+
+    for (const entry of expired) {
+      await fs.rm(path.join(this.quarantineDir, entry.id), { recursive: true, force: true }).catch(err => {
+        console.error('Failed to purge quarantine entry:', entry.id, err.message);
+      });
+    }
+
+    if (expired.length > 0) {
+      this.store.set('app-quarantine', entries.filter(e => !expired.includes(e)));
+      console.log(`🧹 Purged ${expired.length} expired quarantine entr${expired.length === 1 ? 'y' : 'ies'}`);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = UninstallManager;
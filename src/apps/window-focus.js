@@ -0,0 +1,60 @@
+const { execFile } = require('child_process');
+
+// Give up on a platform helper that doesn't answer in time
+const FOCUS_TIMEOUT = 5000;
+
+/**
+ * Run a command and resolve with its stdout (null if it failed or isn't installed)
+ */
+function run(command, args) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: FOCUS_TIMEOUT, windowsHide: true }, (error, stdout) => {
+      resolve(error ? null : String(stdout));
+    });
+  });
+}
+
+/**
+ * Bring the main window of a running process to the front
+ * Uses WScript.Shell on Windows, System Events on macOS and wmctrl/xdotool on Linux.
+ * Resolves true when the platform helper reported success.
+ */
+async function focusProcessWindow(pid) {
+  const id = parseInt(pid, 10);
+  if (!id) {
+    return false;
+  }
+
+  if (process.platform === 'win32') {
+    const output = await run('powershell.exe', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `(New-Object -ComObject WScript.Shell).AppActivate(${id})`
+    ]);
+    return output !== null && output.trim() === 'True';
+  }
+
+  if (process.platform === 'darwin') {
+    const output = await run('osascript', [
+      '-e',
+      `tell application "System Events" to set frontmost of (first process whose unix id is ${id}) to true`
+    ]);
+    return output !== null;
+  }
+
+  // Linux/X11: wmctrl -lp lists "<window id> <desktop> <pid> <host> <title>"
+  const windows = await run('wmctrl', ['-lp']);
+  if (windows) {
+    const match = windows.split('\n')
+      .map(line => line.trim().split(/\s+/))
+      .find(columns => parseInt(columns[2], 10) === id);
+    if (match && await run('wmctrl', ['-ia', match[0]]) !== null) {
+      return true;
+    }
+  }
+
+  return await run('xdotool', ['search', '--pid', String(id), 'windowactivate']) !== null;
+}
+
+module.exports = { focusProcessWindow };
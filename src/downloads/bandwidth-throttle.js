@@ -0,0 +1,44 @@
+/**
+ * Bandwidth Throttle for OTH Launcher
+ * Shared byte budget for all active downloads (global bytes-per-second cap)
+ */
+class BandwidthThrottle {
+  constructor(bytesPerSecond = 0) {
+    this.bytesPerSecond = 0;
+    this.nextFreeAt = 0; // Time at which the budget used so far is paid off
+    this.setLimit(bytesPerSecond);
+  }
+
+  /**
+   * Set the cap in bytes per second (0 = unlimited)
+   */
+  setLimit(bytesPerSecond) {
+    const limit = parseInt(bytesPerSecond, 10);
+    this.bytesPerSecond = limit > 0 ? limit : 0;
+    this.nextFreeAt = 0;
+  }
+
+  /**
+   * Whether a cap is active
+   */
+  isLimited() {
+    return this.bytesPerSecond > 0;
+  }
+
+  /**
+   * Account for received bytes and return how long (ms) the caller should wait
+   */
+  consume(bytes) {
+    if (!this.isLimited()) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const start = Math.max(now, this.nextFreeAt);
+    this.nextFreeAt = start + (bytes / this.bytesPerSecond) * 1000;
+
+    return Math.max(0, Math.round(this.nextFreeAt - now));
+  }
+}
+
+module.exports = BandwidthThrottle;
@@ -0,0 +1,83 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Disk space helpers for OTH Launcher downloads and installs
+ */
+
+// Head room left on the volume after a download/extraction
+const DISK_SPACE_MARGIN = 16 * 1024 * 1024;
+
+/**
+ * Free bytes available to the user on the volume holding dirPath
+ * Walks up to the nearest existing folder. Returns null when it can't be determined.
+ */
+async function getFreeSpace(dirPath) {
+  if (typeof fs.statfs !== 'function') {
+    return null;
+  }
+
+  let current = path.resolve(dirPath);
+
+  while (true) {
+    try {
+      const stats = await fs.statfs(current);
+      return stats.bavail * stats.bsize;
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Human readable byte count
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+/**
+ * Check that `bytesNeeded` fit into dirPath (free space minus `reservedBytes` and a margin)
+ * Returns { ok, needed, available, reason }
+ */
+async function checkFreeSpace(dirPath, bytesNeeded, reservedBytes = 0) {
+  const free = await getFreeSpace(dirPath);
+  if (free === null || !bytesNeeded) {
+    return { ok: true, needed: bytesNeeded || 0, available: free, reason: null };
+  }
+
+  const available = Math.max(0, free - reservedBytes - DISK_SPACE_MARGIN);
+  const ok = bytesNeeded <= available;
+
+  return {
+    ok,
+    needed: bytesNeeded,
+    available,
+    reason: ok ? null : `Not enough disk space: ${formatBytes(bytesNeeded)} needed, ${formatBytes(available)} free`
+  };
+}
+
+/**
+ * Error thrown when a download or extraction doesn't fit
+ */
+function createSpaceError(check) {
+  const error = new Error(check.reason || 'Not enough disk space');
+  error.code = 'INSUFFICIENT_SPACE';
+  error.spaceCheck = check;
+  return error;
+}
+
+module.exports = {
+  getFreeSpace,
+  formatBytes,
+  checkFreeSpace,
+  createSpaceError
+};
@@ -0,0 +1,83 @@
+/**
+ * Download error classification and retry policy for OTH Launcher
+ * Policy lives in launcher-settings.downloads.retry
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,    // Total attempts including the first one
+  baseDelay: 2000,   // ms before the first retry, doubled for each further attempt
+  maxDelay: 60000,   // Upper bound for a single backoff
+  jitter: 0.3        // +/- fraction of the delay added at random
+};
+
+const NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'ENETDOWN',
+  'EHOSTUNREACH',
+  'EPIPE'
+]);
+const DISK_FULL_CODES = new Set(['ENOSPC', 'EDQUOT']);
+const PERMISSION_CODES = new Set(['EACCES', 'EPERM', 'EROFS']);
+
+// Only these classes are worth retrying automatically
+const TRANSIENT_TYPES = new Set(['network', 'http-5xx']);
+
+/**
+ * Classify a download error
+ * Types: network, http-4xx, http-5xx, disk-full, permission, unknown
+ */
+function classifyError(error) {
+  let type = 'unknown';
+
+  if (error.statusCode >= 500) {
+    type = 'http-5xx';
+  } else if (error.statusCode >= 400) {
+    type = 'http-4xx';
+  } else if (DISK_FULL_CODES.has(error.code)) {
+    type = 'disk-full';
+  } else if (PERMISSION_CODES.has(error.code)) {
+    type = 'permission';
+  } else if (NETWORK_CODES.has(error.code) || /^net::ERR_/.test(error.message)) {
+    // Chromium (session) requests report failures as net::ERR_* messages
+    type = 'network';
+  }
+
+  return { type, transient: TRANSIENT_TYPES.has(type) };
+}
+
+/**
+ * Retry policy from launcher settings merged over the defaults
+ */
+function getRetryPolicy(settings = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...settings.downloads?.retry };
+
+  return {
+    maxAttempts: Math.max(1, parseInt(policy.maxAttempts, 10) || 1),
+    baseDelay: Math.max(0, Number(policy.baseDelay) || 0),
+    maxDelay: Math.max(0, Number(policy.maxDelay) || 0),
+    jitter: Math.min(1, Math.max(0, Number(policy.jitter) || 0))
+  };
+}
+
+/**
+ * Exponential backoff with jitter for the given retry number (1 = first retry)
+ */
+function getRetryDelay(retryNumber, policy) {
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retryNumber - 1));
+  const jitter = backoff * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(backoff + jitter));
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  classifyError,
+  getRetryPolicy,
+  getRetryDelay
+};
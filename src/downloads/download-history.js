@@ -0,0 +1,280 @@
+const Store = require('electron-store');
+
+// Oldest entries are dropped beyond this many items
+const MAX_HISTORY_ENTRIES = 2000;
+
+// Daily bandwidth counters are kept for this many days
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Download History for OTH Launcher
+ * Keeps a record of finished downloads and daily bandwidth in its own
+ * `download-history` store file, separate from the live queues, so clearing
+ * completed downloads doesn't lose statistics and queue saves don't rewrite
+ * the whole history.
+ */
+class DownloadHistory {
+  constructor(launcherStore) {
+    this.store = new Store({ name: 'download-history' });
+
+    // Older versions kept the history inside the launcher store
+    if (launcherStore?.has('download-history')) {
+      if (!this.store.has('history')) {
+        this.store.set('history', launcherStore.get('download-history'));
+      }
+      launcherStore.delete('download-history');
+    }
+  }
+
+  /**
+   * Load history from the store
+   */
+  load() {
+    const history = this.store.get('history', {});
+    return {
+      entries: history.entries || [],
+      daily: history.daily || {}
+    };
+  }
+
+  /**
+   * Persist history, trimming the oldest entries and days
+   */
+  save(history) {
+    if (history.entries.length > MAX_HISTORY_ENTRIES) {
+      history.entries = history.entries.slice(-MAX_HISTORY_ENTRIES);
+    }
+
+    const days = Object.keys(history.daily).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - MAX_HISTORY_DAYS))) {
+      delete history.daily[day];
+    }
+
+    this.store.set('history', history);
+  }
+
+  /**
+   * Local YYYY-MM-DD key for a date
+   */
+  getDayKey(date = new Date()) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Module/app a download belongs to
+   */
+  getModuleKey(download) {
+    const info = download.info || {};
+    return String(info.id || info.marketplaceItemId || download.marketplaceItemId || download.name || 'unknown');
+  }
+
+  /**
+   * Count bytes received during one attempt towards today's bandwidth
+   */
+  addBandwidth(bytes, date = new Date()) {
+    if (!(bytes > 0)) {
+      return;
+    }
+
+    const history = this.load();
+    const key = this.getDayKey(date);
+    const day = history.daily[key] || { bytes: 0, completed: 0, failed: 0, cancelled: 0 };
+    day.bytes += bytes;
+    history.daily[key] = day;
+    this.save(history);
+  }
+
+  /**
+   * Record the final result of a download ('complete', 'error', 'corrupt', 'cancelled')
+   * A download that is retried and finishes again replaces its earlier entry.
+   */
+  recordResult(download, result) {
+    const history = this.load();
+    const finishedAt = new Date().toISOString();
+    const activeSeconds = (download.activeTime || 0) / 1000;
+    const bytesTransferred = download.transferredBytes || 0;
+
+    const previous = history.entries.find(e => e.downloadId === download.id);
+    const entry = {
+      downloadId: download.id,
+      moduleId: this.getModuleKey(download),
+      name: download.displayName || download.name,
+      version: download.version || null,
+      url: download.downloadUrl || null,
+      mirror: download.servedBy || download.mirror || null, // URL that served (or last tried) the file
+      result,
+      error: result === 'complete' ? null : download.error || null,
+      errorType: result === 'complete' ? null : download.errorType || null,
+      addedAt: download.addedAt,
+      startedAt: download.startedAt,
+      finishedAt,
+      durationMs: download.startedAt ? Date.parse(finishedAt) - Date.parse(download.startedAt) : 0,
+      activeMs: download.activeTime || 0,
+      totalBytes: download.totalBytes || 0,
+      bytesTransferred,
+      averageSpeed: activeSeconds > 0 ? Math.round(bytesTransferred / activeSeconds) : 0, // bytes per second
+      // The last failed attempt of an error/corrupt result wasn't retried
+      retries: Math.max(0, (download.attempts || []).length - (['complete', 'cancelled'].includes(result) ? 0 : 1)),
+      failedAttempts: (download.attempts || []).length,
+      postAction: download.postAction || 'save',
+      postActionStatus: null,
+      postActionError: null
+    };
+
+    if (previous) {
+      history.entries.splice(history.entries.indexOf(previous), 1);
+    }
+    history.entries.push(entry);
+
+    const key = this.getDayKey(finishedAt);
+    const day = history.daily[key] || { bytes: 0, completed: 0, failed: 0, cancelled: 0 };
+    if (result === 'complete') {
+      day.completed++;
+    } else if (result === 'cancelled') {
+      day.cancelled++;
+    } else {
+      day.failed++;
+    }
+    history.daily[key] = day;
+
+    this.save(history);
+    return entry;
+  }
+
+  /**
+   * Record how the post-download action (install, register...) went
+   */
+  recordPostAction(download, status, error = null) {
+    const history = this.load();
+    const entry = history.entries.find(e => e.downloadId === download.id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.postAction = download.postAction || entry.postAction;
+    entry.postActionStatus = status;
+    entry.postActionError = error ? error.message || String(error) : null;
+    this.save(history);
+    return entry;
+  }
+
+  /**
+   * History entries, newest first
+   * Options: { moduleId, result, from, to, limit, offset }
+   */
+  getEntries(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+    const entries = this.filterEntries(this.load().entries, options).reverse();
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, limit > 0 ? offset + limit : undefined)
+    };
+  }
+
+  /**
+   * Apply moduleId/result/date filters
+   */
+  filterEntries(entries, options = {}) {
+    const from = options.from ? Date.parse(options.from) : null;
+    const to = options.to ? Date.parse(options.to) : null;
+
+    return entries.filter(e =>
+      (!options.moduleId || e.moduleId === String(options.moduleId)) &&
+      (!options.result || e.result === options.result) &&
+      (!from || Date.parse(e.finishedAt) >= from) &&
+      (!to || Date.parse(e.finishedAt) <= to)
+    );
+  }
+
+  /**
+   * Aggregate statistics: totals, per day and per module
+   * Options: { from, to } (ISO dates) or { days } for the last N days
+   */
+  getStats(options = {}) {
+    const history = this.load();
+    const range = { ...options };
+    if (options.days > 0 && !options.from) {
+      const from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - (options.days - 1));
+      range.from = from.toISOString();
+    }
+
+    const entries = this.filterEntries(history.entries, { from: range.from, to: range.to });
+    const fromDay = range.from ? this.getDayKey(range.from) : null;
+    const toDay = range.to ? this.getDayKey(range.to) : null;
+
+    // Per day - bandwidth counts every attempt, including failed and paused ones
+    const perDay = Object.keys(history.daily)
+      .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+      .sort()
+      .map(day => ({ date: day, ...history.daily[day] }));
+
+    // Per module
+    const modules = new Map();
+    for (const entry of entries) {
+      const item = modules.get(entry.moduleId) || {
+        moduleId: entry.moduleId,
+        name: entry.name,
+        downloads: 0,
+        completed: 0,
+        failed: 0,
+        cancelled: 0,
+        bytesTransferred: 0,
+        lastDownloadedAt: null
+      };
+
+      item.name = entry.name || item.name;
+      item.downloads++;
+      item.bytesTransferred += entry.bytesTransferred || 0;
+      if (entry.result === 'complete') {
+        item.completed++;
+      } else if (entry.result === 'cancelled') {
+        item.cancelled++;
+      } else {
+        item.failed++;
+      }
+      if (!item.lastDownloadedAt || entry.finishedAt > item.lastDownloadedAt) {
+        item.lastDownloadedAt = entry.finishedAt;
+      }
+      modules.set(entry.moduleId, item);
+    }
+
+    // Totals
+    const activeMs = entries.reduce((sum, e) => sum + (e.activeMs || 0), 0);
+    const itemBytes = entries.reduce((sum, e) => sum + (e.bytesTransferred || 0), 0);
+    const totals = {
+      downloads: entries.length,
+      completed: entries.filter(e => e.result === 'complete').length,
+      failed: entries.filter(e => !['complete', 'cancelled'].includes(e.result)).length,
+      cancelled: entries.filter(e => e.result === 'cancelled').length,
+      retries: entries.reduce((sum, e) => sum + (e.retries || 0), 0),
+      bandwidth: perDay.reduce((sum, day) => sum + day.bytes, 0),
+      averageSpeed: activeMs > 0 ? Math.round(itemBytes / (activeMs / 1000)) : 0,
+      installs: {
+        succeeded: entries.filter(e => e.postActionStatus === 'done').length,
+        failed: entries.filter(e => e.postActionStatus === 'failed').length
+      }
+    };
+
+    return {
+      from: range.from || null,
+      to: range.to || null,
+      totals,
+      perDay,
+      perModule: Array.from(modules.values()).sort((a, b) => b.bytesTransferred - a.bytesTransferred)
+    };
+  }
+
+  /**
+   * Forget all history
+   */
+  clear() {
+    this.store.set('history', { entries: [], daily: {} });
+  }
+}
+
+module.exports = DownloadHistory;
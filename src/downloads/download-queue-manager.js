@@ -3,7 +3,52 @@ const fs = require('fs').promises;
 const { app } = require('electron');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const BandwidthThrottle = require('./bandwidth-throttle');
+const DownloadScheduler = require('./download-scheduler');
+const DownloadHistory = require('./download-history');
+const { createHashFromFile, getExpectedIntegrity, compareIntegrity, verifyFile } = require('./file-integrity');
+const { classifyError, getRetryPolicy, getRetryDelay } = require('./download-errors');
+const { sessionGet } = require('./session-request');
+const { checkFreeSpace, createSpaceError, formatBytes } = require('./disk-space');
+const { canTransition, assertTransition } = require('./download-states');
+
+// Parallel download slots (launcher-settings.downloads.maxConcurrentDownloads)
+const DEFAULT_MAX_CONCURRENT_DOWNLOADS = 3;
+const MAX_CONCURRENT_DOWNLOADS = 8;
+
+// A connection that sends nothing for this long is treated as a network error
+const SOCKET_TIMEOUT = 60 * 1000;
+
+// Redirect hops followed before giving up
+const MAX_REDIRECTS = 10;
+
+// A mirror averaging less than downloads.minMirrorSpeed (bytes/s) over this
+// long is dropped for the next one
+const SLOW_MIRROR_WINDOW = 20 * 1000;
+const DEFAULT_MIN_MIRROR_SPEED = 50 * 1024;
+
+// Unreferenced .part files older than this are removed on startup
+const STALE_PARTIAL_AGE = 24 * 60 * 60 * 1000;
+const PARTIAL_FILE_PATTERN = /-v[^\\/]+\.zip\.part$/;
+
+// Priority levels, highest first. Each queue is kept in priority order.
+const PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_PRIORITY = 'normal';
+
+// Statuses "retry failed" picks up
+const FAILED_STATUSES = ['error', 'corrupt', 'missing', 'insufficient-space', 'install-failed'];
+
+// Install action used for finished downloads when downloads.autoInstall is on
+// and the item doesn't name its own postAction (queue items are modules)
+const DEFAULT_INSTALL_ACTION = 'install-module';
+
+// Same for app downloads (kind 'app'): packages are extracted, programs registered
+const APP_PACKAGE_EXTENSIONS = /\.(zip|tar\.gz|tgz)$/i;
+
+// Install pipeline stages a restart can interrupt
+const INSTALL_STAGES = ['verifying', 'installing', 'cleaning-up'];
 
 /**
  * Download Queue Manager for OTH Launcher
@@ -15,11 +60,128 @@ class DownloadQueueManager extends EventEmitter {
     this.store = store;
     this.activeDownloads = new Map(); // Currently downloading items
     this.pausedDownloads = new Set(); // Paused download IDs
+    this.session = null; // Electron session used for authenticated requests (see setSession)
+    this.suspended = null; // { mode: 'pause' | 'throttle', limit } while launched apps run (see suspend)
+
+    // Global bandwidth cap and start time / time window scheduling
+    const settings = this.store.get('launcher-settings', {});
+    this.throttle = new BandwidthThrottle(settings.downloads?.bandwidthLimit);
+    this.scheduler = new DownloadScheduler(this);
+
+    // Finished downloads and bandwidth, kept apart from the live queues
+    this.history = new DownloadHistory(store);
+
+    // What happens to a file once it is downloaded (see registerPostAction)
+    this.postActions = new Map();
+    this.registerPostAction('save', async (download) => ({ success: true, filePath: download.filePath }));
+    this.installing = new Set(); // Download IDs in the install pipeline
     
     // Load queues from store
     this.loadQueues();
   }
 
+  /**
+   * Make requests through an Electron session so the logged-in user's
+   * store cookies are sent and paid downloads stream straight to disk
+   */
+  setSession(session) {
+    this.session = session;
+  }
+
+  /**
+   * Start acting on start times and time windows
+   */
+  startScheduler() {
+    this.scheduler.start();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stopScheduler() {
+    this.scheduler.stop();
+  }
+
+  /**
+   * Re-read download settings after they changed
+   */
+  applySettings() {
+    this.applyBandwidthLimit();
+    this.scheduler.tick();
+  }
+
+  /**
+   * Set the throttle from settings, lowered while suspended in throttle mode
+   */
+  applyBandwidthLimit() {
+    const settings = this.store.get('launcher-settings', {});
+    const configured = parseInt(settings.downloads?.bandwidthLimit, 10) || 0;
+
+    if (this.suspended?.mode === 'throttle') {
+      this.throttle.setLimit(configured > 0 ? Math.min(configured, this.suspended.limit) : this.suspended.limit);
+    } else {
+      this.throttle.setLimit(configured);
+    }
+  }
+
+  /**
+   * Step aside while launched apps run (downloads.pauseOnLaunch)
+   * With a bandwidthLimit downloads carry on at that rate; otherwise active
+   * downloads are paused (pausedBy 'app') and nothing new starts until unsuspend.
+   */
+  suspend(options = {}) {
+    const limit = Math.max(0, parseInt(options.bandwidthLimit, 10) || 0);
+    const mode = limit > 0 ? 'throttle' : 'pause';
+
+    if (this.suspended?.mode === mode && this.suspended.limit === limit) {
+      return [];
+    }
+    if (this.suspended) {
+      this.unsuspend();
+    }
+
+    this.suspended = { mode, limit };
+    this.applyBandwidthLimit();
+
+    const paused = [];
+    if (mode === 'pause') {
+      for (const { download } of Array.from(this.activeDownloads.values())) {
+        if (download.status === 'downloading') {
+          paused.push(this.pauseDownload(download.id, 'app'));
+        }
+      }
+    }
+
+    console.log(`🎮 Download queue suspended for running apps (${mode}${limit ? ` ${limit} B/s` : ''})`);
+    return paused;
+  }
+
+  /**
+   * Undo suspend - downloads paused for apps pick up where they left off
+   */
+  unsuspend() {
+    if (!this.suspended) {
+      return [];
+    }
+
+    this.suspended = null;
+    this.applyBandwidthLimit();
+
+    // Items still winding down from the pause are picked up by the scheduler tick
+    const resumed = this.upNext.filter(d =>
+      d.status === 'paused' && d.pausedBy === 'app' && !this.activeDownloads.has(d.id)
+    );
+    for (const download of resumed) {
+      this.resumeDownload(download.id).catch(err => {
+        console.error('Failed to resume download after app exit:', err.message);
+      });
+    }
+
+    console.log('🎮 Download queue resumed, no launched apps running');
+    this.processQueue();
+    return resumed;
+  }
+
   /**
    * Load queues from persistent storage
    */
@@ -35,10 +197,213 @@ class DownloadQueueManager extends EventEmitter {
     this.upNext = queues.upNext || [];
   }
 
+  /**
+   * Reconcile persisted queues with reality after a restart or crash
+   * launcher-settings.downloads.recoveryMode decides what happens to leftovers:
+   *  - 'resume'  (default) interrupted downloads continue from their .part file
+   *  - 'requeue' interrupted downloads and missing files go back to "Scheduled"
+   *  - 'prune'   interrupted downloads and missing files are removed
+   */
+  async recoverQueues() {
+    const settings = this.store.get('launcher-settings', {});
+    const mode = ['resume', 'requeue', 'prune'].includes(settings.downloads?.recoveryMode)
+      ? settings.downloads.recoveryMode
+      : 'resume';
+    const report = { mode, resumed: [], requeued: [], pruned: [], missing: [], stalePartials: [] };
+
+    // Paused for an app that was still running when the launcher closed
+    for (const download of this.upNext.filter(d => d.status === 'paused' && d.pausedBy === 'app')) {
+      this.setStatus(download, 'queued');
+      download.pausedBy = null;
+    }
+
+    // 1. Interrupted downloads - nothing is active right after startup
+    const interrupted = this.upNext.filter(d => ['downloading', 'retrying'].includes(d.status));
+
+    for (const download of interrupted) {
+      // Resume state is only good if the .part file survived
+      if (download.partialPath && !(await this.fileExists(download.partialPath))) {
+        await this.discardPartial(download);
+      }
+
+      if (mode === 'prune') {
+        await this.discardPartial(download);
+        this.upNext.splice(this.upNext.indexOf(download), 1);
+        report.pruned.push(download.id);
+        continue;
+      }
+
+      this.setStatus(download, 'queued');
+      download.speed = 0;
+      download.timeRemaining = null;
+      download.nextRetryAt = null;
+
+      if (mode === 'requeue') {
+        this.upNext.splice(this.upNext.indexOf(download), 1);
+        this.scheduled.push(download);
+        report.requeued.push(download.id);
+      } else {
+        report.resumed.push(download.id);
+      }
+    }
+
+    // 2. Installs cut short - a finished cleanup only left the archive behind
+    for (const download of this.complete.filter(d => INSTALL_STAGES.includes(d.status))) {
+      if (download.status === 'cleaning-up') {
+        this.setStatus(download, 'installed');
+        continue;
+      }
+      this.setStatus(download, 'install-failed');
+      download.postActionStatus = 'failed';
+      download.postActionError = 'Install interrupted';
+    }
+
+    // 3. Completed downloads whose file was deleted (installed archives are removed on purpose)
+    for (const download of [...this.complete]) {
+      if (download.installed || !download.filePath || await this.fileExists(download.filePath)) {
+        continue;
+      }
+
+      this.complete.splice(this.complete.indexOf(download), 1);
+
+      if (mode === 'prune') {
+        report.pruned.push(download.id);
+      } else if (mode === 'requeue') {
+        this.setStatus(download, 'queued');
+        download.progress = 0;
+        download.downloadedBytes = 0;
+        download.completedAt = null;
+        this.scheduled.push(download);
+        report.requeued.push(download.id);
+      } else {
+        // Kept visible so it can be retried from the completed list (already missing after an earlier launch)
+        if (download.status !== 'missing') {
+          this.setStatus(download, 'missing');
+        }
+        download.error = 'Downloaded file no longer exists';
+        this.complete.push(download);
+        report.missing.push(download.id);
+      }
+    }
+
+    // 4. Old .part files no queue item refers to
+    report.stalePartials = await this.removeStalePartials();
+
+    this.saveQueues();
+
+    const changes = report.resumed.length + report.requeued.length + report.pruned.length +
+      report.missing.length + report.stalePartials.length;
+    if (changes > 0) {
+      console.log(`🩹 Download queue recovered (${mode}):`, {
+        resumed: report.resumed.length,
+        requeued: report.requeued.length,
+        pruned: report.pruned.length,
+        missing: report.missing.length,
+        stalePartials: report.stalePartials.length
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Delete unreferenced partial files left in the download location
+   */
+  async removeStalePartials() {
+    const removed = [];
+    const downloadPath = this.getDownloadLocation();
+    const referenced = new Set(
+      [...this.scheduled, ...this.upNext].map(d => d.partialPath).filter(Boolean)
+    );
+
+    let entries;
+    try {
+      entries = await fs.readdir(downloadPath);
+    } catch (error) {
+      return removed;
+    }
+
+    for (const entry of entries) {
+      // Only our own "<name>-v<version>.zip.part" files - the folder may be shared with browsers
+      if (!PARTIAL_FILE_PATTERN.test(entry)) {
+        continue;
+      }
+
+      const filePath = path.join(downloadPath, entry);
+      if (referenced.has(filePath)) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.stat(filePath);
+        if (Date.now() - stats.mtimeMs > STALE_PARTIAL_AGE) {
+          await fs.unlink(filePath);
+          removed.push(filePath);
+        }
+      } catch (err) {
+        // Ignore files we can't stat or delete
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Check whether a path exists
+   */
+  async fileExists(filePath) {
+    return fs.access(filePath).then(() => true).catch(() => false);
+  }
+
+  /**
+   * Move a download to a new state (see download-states.js)
+   * Throws on transitions the state machine doesn't allow.
+   */
+  setStatus(download, status) {
+    assertTransition(download.status, status);
+    download.status = status;
+    download.statusChangedAt = new Date().toISOString();
+    return download;
+  }
+
+  /**
+   * Flag a completed download as installed (its archive may be cleaned up)
+   */
+  markInstalled(downloadId) {
+    const download = this.complete.find(d => d.id === downloadId);
+    if (download) {
+      download.installed = true;
+      download.installedAt = new Date().toISOString();
+      this.saveQueues();
+    }
+    return download || null;
+  }
+
+  /**
+   * Folder downloads are written to
+   */
+  getDownloadLocation() {
+    const settings = this.store.get('launcher-settings', {});
+    let downloadPath = settings.downloads?.location;
+
+    if (!downloadPath) {
+      try {
+        downloadPath = app.getPath('downloads');
+      } catch (e) {
+        downloadPath = path.join(app.getPath('documents'), 'OTH Downloads', 'Modules');
+      }
+    }
+
+    return downloadPath;
+  }
+
   /**
    * Save queues to persistent storage
    */
   saveQueues() {
+    this.sortQueue('scheduled');
+    this.sortQueue('upNext');
+
     this.store.set('download-queues', {
       scheduled: this.scheduled,
       complete: this.complete,
@@ -58,11 +423,18 @@ class DownloadQueueManager extends EventEmitter {
 
   /**
    * Add download to queue
+   * downloadInfo.postAction names the action run on the finished file (see getPostAction).
+   * With options.startImmediately the item skips "Scheduled" and goes to the front of "Up Next".
    */
-  addToQueue(downloadInfo) {
+  addToQueue(downloadInfo, options = {}) {
+    const { postAction, priority, ...itemInfo } = downloadInfo;
     const download = {
-      id: this.generateDownloadId(downloadInfo),
       ...downloadInfo,
+      id: this.generateDownloadId(downloadInfo), // Unique per download - the item's own id stays in info.id
+      info: itemInfo, // Original item info, handed to post-download actions
+      priority: this.normalizePriority(priority),
+      postAction: postAction || null, // null: install if downloads.autoInstall is on, else save
+      postActionStatus: null,
       status: 'queued',
       progress: 0,
       downloadedBytes: 0,
@@ -72,292 +444,1421 @@ class DownloadQueueManager extends EventEmitter {
       addedAt: new Date().toISOString(),
       startedAt: null,
       completedAt: null,
-      error: null
+      error: null,
+      // Resume state for the .part file
+      partialPath: null,
+      etag: null,
+      lastModified: null,
+      // Automatic retries and the history of failed attempts
+      retryCount: 0,
+      nextRetryAt: null,
+      attempts: []
     };
 
-    // Add to scheduled queue
-    this.scheduled.push(download);
+    if (options.startImmediately) {
+      // Front of its priority band
+      this.insertByPriority(this.upNext, download, true);
+    } else {
+      // Add to scheduled queue
+      this.insertByPriority(this.scheduled, download);
+    }
     this.saveQueues();
 
     console.log('📥 Added to download queue:', download.displayName || download.name);
+
+    if (options.startImmediately) {
+      this.processQueue();
+    }
     return download;
   }
 
   /**
-   * Move download to "Up Next"
+   * Move download to "Up Next"
+   */
+  moveToUpNext(downloadId) {
+    // Find in scheduled
+    const index = this.scheduled.findIndex(d => d.id === downloadId);
+    if (index === -1) {
+      throw new Error('Download not found in scheduled queue');
+    }
+
+    const download = this.scheduled.splice(index, 1)[0];
+    this.insertByPriority(this.upNext, download);
+    this.saveQueues();
+
+    console.log('⏭️ Moved to up next:', download.displayName || download.name);
+    return download;
+  }
+
+  /**
+   * Move download back to scheduled
+   */
+  moveToScheduled(downloadId) {
+    // Find in upNext
+    const index = this.upNext.findIndex(d => d.id === downloadId);
+    if (index === -1) {
+      throw new Error('Download not found in up next queue');
+    }
+
+    const download = this.upNext.splice(index, 1)[0];
+    this.insertByPriority(this.scheduled, download);
+    this.saveQueues();
+
+    console.log('📅 Moved to scheduled:', download.displayName || download.name);
+    return download;
+  }
+
+  /**
+   * Validate a priority name
+   */
+  normalizePriority(priority) {
+    return PRIORITIES.includes(priority) ? priority : DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Rank of a priority (0 = highest)
+   */
+  getPriorityRank(download) {
+    return PRIORITIES.indexOf(this.normalizePriority(download.priority));
+  }
+
+  /**
+   * Insert a download at the end (or start) of its priority band
+   */
+  insertByPriority(list, download, atFront = false) {
+    const rank = this.getPriorityRank(download);
+    let index = atFront
+      ? list.findIndex(d => this.getPriorityRank(d) >= rank)
+      : list.findIndex(d => this.getPriorityRank(d) > rank);
+
+    // Running downloads stay on top of "Up Next"
+    if (list === this.upNext) {
+      const firstWaiting = list.findIndex(d => !this.activeDownloads.has(d.id));
+      if (firstWaiting === -1) {
+        index = -1;
+      } else if (index !== -1 && index < firstWaiting) {
+        index = firstWaiting;
+      }
+    }
+
+    if (index === -1) {
+      list.push(download);
+    } else {
+      list.splice(index, 0, download);
+    }
+  }
+
+  /**
+   * Sort key of a download within its queue (lower runs first)
+   * "Up Next": running downloads, then priority.
+   * "Scheduled": downloads with a start time by that time, then priority;
+   * items without a start time wait for the user to move them.
+   */
+  getOrderKey(queueName, download) {
+    if (queueName === 'upNext') {
+      return [this.activeDownloads.has(download.id) ? 0 : 1, this.getPriorityRank(download)];
+    }
+
+    const startTime = download.startAt ? new Date(download.startAt).getTime() : NaN;
+    return [isNaN(startTime) ? Infinity : startTime, this.getPriorityRank(download)];
+  }
+
+  /**
+   * Put a queue in execution order (stable, so manual order inside a priority band is kept)
+   */
+  sortQueue(queueName) {
+    return this[queueName].sort((a, b) => {
+      const keyA = this.getOrderKey(queueName, a);
+      const keyB = this.getOrderKey(queueName, b);
+      // Infinity - Infinity is NaN, which falls through to the priority
+      return (keyA[0] - keyB[0]) || (keyA[1] - keyB[1]);
+    });
+  }
+
+  /**
+   * Change the priority of a queued download
+   */
+  setPriority(downloadId, priority) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+
+    const download = this.scheduled.find(d => d.id === downloadId) ||
+      this.upNext.find(d => d.id === downloadId);
+
+    if (!download) {
+      throw new Error('Download not found in queue');
+    }
+
+    download.priority = priority;
+    this.saveQueues();
+
+    console.log('🔀 Priority changed:', download.displayName || download.name, priority);
+    this.processQueue();
+    return download;
+  }
+
+  /**
+   * Move a download to a position in "scheduled" or "upNext"
+   * The index refers to the list as returned by getAllQueues. The item takes
+   * the priority of the band it is dropped into, so the position sticks.
+   */
+  moveDownload(downloadId, targetQueue, index) {
+    if (!['scheduled', 'upNext'].includes(targetQueue)) {
+      throw new Error(`Invalid target queue: ${targetQueue}`);
+    }
+
+    const sourceQueue = this.scheduled.some(d => d.id === downloadId) ? 'scheduled'
+      : this.upNext.some(d => d.id === downloadId) ? 'upNext' : null;
+
+    if (!sourceQueue) {
+      throw new Error('Download not found in queue');
+    }
+
+    if (sourceQueue === 'upNext' && targetQueue === 'scheduled' && this.activeDownloads.has(downloadId)) {
+      throw new Error('Cannot move an active download to scheduled');
+    }
+
+    const source = this[sourceQueue];
+    const download = source.splice(source.findIndex(d => d.id === downloadId), 1)[0];
+
+    const target = this.sortQueue(targetQueue);
+    const position = Math.max(0, Math.min(parseInt(index, 10) || 0, target.length));
+    target.splice(position, 0, download);
+
+    // Adopt the priority of the neighbour above (or below when dropped on top)
+    const neighbours = [target[position - 1], target[position + 1]]
+      .filter(d => d && !this.activeDownloads.has(d.id));
+    if (neighbours.length > 0) {
+      download.priority = this.normalizePriority(neighbours[0].priority);
+    }
+
+    this.saveQueues();
+
+    console.log('🔀 Moved download:', download.displayName || download.name, `${targetQueue}[${position}]`);
+    if (targetQueue === 'upNext') {
+      this.processQueue();
+    }
+    return download;
+  }
+
+  /**
+   * Set or clear the start time of a single download
+   */
+  scheduleDownload(downloadId, startAt) {
+    const download = this.scheduled.find(d => d.id === downloadId) ||
+      this.upNext.find(d => d.id === downloadId);
+
+    if (!download) {
+      throw new Error('Download not found in queue');
+    }
+
+    if (startAt && isNaN(new Date(startAt).getTime())) {
+      throw new Error('Invalid start time');
+    }
+
+    download.startAt = startAt ? new Date(startAt).toISOString() : null;
+
+    // A future start time puts a waiting item back on the scheduled list
+    if (download.startAt && new Date(download.startAt) > new Date() &&
+        this.upNext.includes(download) && !this.activeDownloads.has(downloadId)) {
+      this.moveToScheduled(downloadId);
+    } else {
+      this.saveQueues();
+    }
+
+    console.log('⏰ Download scheduled:', download.displayName || download.name, download.startAt || '(manual)');
+    this.scheduler.tick();
+    return download;
+  }
+
+  /**
+   * Remove download from queue
+   */
+  removeFromQueue(downloadId) {
+    // Try to find and remove from all queues
+    let found = false;
+    
+    // Check scheduled
+    let index = this.scheduled.findIndex(d => d.id === downloadId);
+    if (index !== -1) {
+      this.scheduled.splice(index, 1);
+      found = true;
+    }
+
+    // Check upNext (active downloads included) - cancel first so listeners hear about it
+    const queued = this.upNext.find(d => d.id === downloadId);
+    if (queued) {
+      if (canTransition(queued.status, 'cancelled')) {
+        this.cancelDownload(downloadId);
+      } else {
+        this.discardPartial(queued);
+      }
+
+      this.upNext.splice(this.upNext.indexOf(queued), 1);
+      found = true;
+    }
+
+    if (found) {
+      this.saveQueues();
+      console.log('🗑️ Removed from queue:', downloadId);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Number of downloads allowed to run at the same time
+   */
+  getMaxConcurrentDownloads() {
+    const settings = this.store.get('launcher-settings', {});
+    const limit = parseInt(settings.downloads?.maxConcurrentDownloads, 10);
+    if (!limit || limit < 1) {
+      return DEFAULT_MAX_CONCURRENT_DOWNLOADS;
+    }
+    return Math.min(limit, MAX_CONCURRENT_DOWNLOADS);
+  }
+
+  /**
+   * Next "Up Next" item waiting for a download slot
+   */
+  getNextQueued() {
+    // Held back entirely while launched apps run
+    if (this.suspended?.mode === 'pause') {
+      return null;
+    }
+
+    const settings = this.scheduler.getSettings();
+    const now = new Date();
+
+    // Items waiting on a retry backoff become eligible once it has passed
+    const isReady = d => d.status === 'queued' ||
+      (d.status === 'retrying' && (!d.nextRetryAt || new Date(d.nextRetryAt) <= now));
+
+    return this.upNext.find(d =>
+      isReady(d) &&
+      !this.activeDownloads.has(d.id) &&
+      this.scheduler.isDownloadAllowed(d, now, settings)
+    ) || null;
+  }
+
+  /**
+   * Fill free download slots from "Up Next" in priority order
+   */
+  processQueue() {
+    const started = [];
+
+    while (this.activeDownloads.size < this.getMaxConcurrentDownloads()) {
+      const download = this.getNextQueued();
+      if (!download) {
+        break;
+      }
+
+      console.log('🚀 Starting download:', download.displayName || download.name);
+
+      // startDownload marks the item active synchronously, so the loop sees the slot as taken
+      this.startDownload(download).catch(err => {
+        console.error('❌ Download failed:', err.message);
+      });
+      started.push(download);
+    }
+
+    return started;
+  }
+
+  /**
+   * Refill slots shortly after one frees up
+   */
+  scheduleProcessQueue() {
+    setTimeout(() => {
+      this.processQueue();
+    }, 500);
+  }
+
+  /**
+   * Start downloading from "Up Next" queue
+   */
+  async startNextDownload() {
+    if (this.upNext.length === 0) {
+      console.log('📭 No downloads in up next queue');
+      return null;
+    }
+
+    const started = this.processQueue();
+    if (started.length === 0) {
+      console.log('⏸️ No free download slot or nothing ready in up next');
+      return null;
+    }
+
+    return started[0];
+  }
+
+  /**
+   * Combined throughput of all active downloads
+   */
+  getThroughput() {
+    const active = Array.from(this.activeDownloads.values()).map(ad => ad.download);
+    const throughput = {
+      active: active.length,
+      slots: this.getMaxConcurrentDownloads(),
+      speed: 0,
+      downloadedBytes: 0,
+      totalBytes: 0,
+      timeRemaining: null
+    };
+
+    for (const download of active) {
+      throughput.speed += download.speed || 0;
+      throughput.downloadedBytes += download.downloadedBytes || 0;
+      throughput.totalBytes += download.totalBytes || 0;
+    }
+
+    if (throughput.totalBytes > 0 && throughput.speed > 0) {
+      throughput.timeRemaining = (throughput.totalBytes - throughput.downloadedBytes) / throughput.speed;
+    }
+
+    return throughput;
+  }
+
+  /**
+   * Actually start the download process
+   */
+  async startDownload(download) {
+    const attemptStartedAt = new Date().toISOString();
+    const attemptStart = Date.now();
+    const bytesAtStart = download.transferredBytes || 0;
+
+    // Time spent and bytes received in this attempt count towards the statistics
+    const endAttempt = () => {
+      download.activeTime = (download.activeTime || 0) + (Date.now() - attemptStart);
+      this.history.addBandwidth((download.transferredBytes || 0) - bytesAtStart);
+    };
+
+    // Update status
+    this.setStatus(download, 'downloading');
+    download.nextRetryAt = null;
+    download.startedAt = download.startedAt || new Date().toISOString();
+    download.error = null;
+    this.saveQueues();
+
+    // Mark as active
+    this.activeDownloads.set(download.id, {
+      download,
+      abortController: null
+    });
+
+    this.emit('download-started', download);
+
+    try {
+      const downloadPath = this.getDownloadLocation();
+      const fileName = download.fileName
+        ? path.basename(download.fileName).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+        : `${(download.name || 'download').replace(/[^a-z0-9]/gi, '_')}-v${download.version || '1.0.0'}.zip`;
+      const filePath = path.join(downloadPath, fileName);
+      const partialPath = this.getPartialPath(filePath);
+      
+      await fs.mkdir(downloadPath, { recursive: true });
+
+      // A partial file from an earlier download of a different file can't be resumed
+      if (download.partialPath && download.partialPath !== partialPath) {
+        await this.discardPartial(download);
+      }
+      download.partialPath = partialPath;
+
+      // Preflight with the size the item declares, before any request is made
+      const declaredSize = getExpectedIntegrity(download).size || (Number(download.size) > 0 ? Number(download.size) : 0);
+      if (declaredSize) {
+        const partialSize = await fs.stat(partialPath).then(stats => stats.size).catch(() => 0);
+        const spaceCheck = await this.checkDiskSpace(download, Math.max(0, declaredSize - partialSize));
+        if (!spaceCheck.ok) {
+          throw createSpaceError(spaceCheck);
+        }
+      }
+
+      // Download the file, failing over between mirrors
+      await this.downloadFromMirrors(download, partialPath, attemptStartedAt);
+
+      // Cancelled while the last bytes were arriving
+      if (download.status === 'cancelled') {
+        throw this.createAbortError('cancelled');
+      }
+
+      // Promote the finished .part file to its final name
+      await fs.rename(partialPath, filePath);
+
+      // Download complete - move to complete queue
+      this.setStatus(download, 'complete');
+      download.progress = 100;
+      download.completedAt = new Date().toISOString();
+      download.filePath = filePath;
+      download.partialPath = null;
+      download.errorType = null;
+
+      // Remove from upNext, add to complete
+      const index = this.upNext.findIndex(d => d.id === download.id);
+      if (index !== -1) {
+        this.upNext.splice(index, 1);
+      }
+      this.complete.unshift(download); // Add to beginning
+
+      this.activeDownloads.delete(download.id);
+      this.pausedDownloads.delete(download.id);
+      endAttempt();
+      this.history.recordResult(download, 'complete');
+      this.saveQueues();
+
+      this.emit('download-complete', download);
+      console.log('✅ Download complete:', download.displayName || download.name);
+
+      // Start next download if available
+      this.scheduleProcessQueue();
+
+      // Install/register/save - failures are reported through events, not as a download error
+      this.runPostAction(download).catch(() => {});
+
+      return download;
+    } catch (error) {
+      this.activeDownloads.delete(download.id);
+      this.scheduleProcessQueue();
+      endAttempt();
+
+      // Paused - keep the .part file so the download can resume from here
+      // (the user's pause/cancel wins over whatever else ended the transfer)
+      if (error.code === 'DOWNLOAD_PAUSED' || download.status === 'paused') {
+        this.saveQueues();
+        return download;
+      }
+
+      // Cancelled - the partial data is no longer wanted
+      if (error.code === 'DOWNLOAD_CANCELLED' || download.status === 'cancelled') {
+        await this.discardPartial(download);
+        this.history.recordResult(download, 'cancelled');
+        this.saveQueues();
+        return download;
+      }
+
+      // Corrupt - the data on disk is useless, a retry starts from scratch
+      if (error.code === 'DOWNLOAD_CORRUPT') {
+        this.recordAttempt(download, error, 'integrity', attemptStartedAt);
+        await this.discardPartial(download);
+        this.setStatus(download, 'corrupt');
+        download.error = error.message;
+        download.errorType = 'integrity';
+        this.history.recordResult(download, 'corrupt');
+        this.saveQueues();
+        this.emit('download-error', download);
+        throw error;
+      }
+
+      const { type, transient } = classifyError(error);
+
+      // Not enough room - hold the item (keeping its .part file) until space is freed
+      if (error.code === 'INSUFFICIENT_SPACE' || type === 'disk-full') {
+        this.recordAttempt(download, error, 'disk-full', attemptStartedAt);
+        this.setStatus(download, 'insufficient-space');
+        download.error = error.message;
+        download.errorType = 'disk-full';
+        download.spaceCheck = error.spaceCheck || null;
+        this.saveQueues();
+        this.emit('download-error', download);
+        throw error;
+      }
+
+      // Download failed - the .part file is kept so a retry can resume it
+      const attempt = this.recordAttempt(download, error, type, attemptStartedAt);
+      const policy = getRetryPolicy(this.store.get('launcher-settings', {}));
+
+      download.error = error.message;
+      download.errorType = type;
+
+      if (transient && (download.retryCount || 0) + 1 < policy.maxAttempts) {
+        download.retryCount = (download.retryCount || 0) + 1;
+        const delay = getRetryDelay(download.retryCount, policy);
+
+        this.setStatus(download, 'retrying');
+        download.nextRetryAt = new Date(Date.now() + delay).toISOString();
+        attempt.retryIn = delay;
+
+        // The scheduler tick also picks it up, this just avoids waiting for it
+        setTimeout(() => this.processQueue(), delay);
+        console.log(`🔁 ${type} error, retry ${download.retryCount}/${policy.maxAttempts - 1} in ${Math.round(delay / 1000)}s:`, download.displayName || download.name);
+      } else {
+        this.setStatus(download, 'error');
+        download.nextRetryAt = null;
+        this.history.recordResult(download, 'error');
+      }
+
+      this.saveQueues();
+      this.emit('download-error', download);
+      throw error;
+    }
+  }
+
+  /**
+   * URLs a download can be fetched from, in the order they are tried:
+   *  1. launcher-settings.downloads.mirrors (e.g. a LAN cache) for store-relative URLs
+   *  2. downloadUrl, resolved against OTH_STORE_URL
+   *  3. the item's own `mirrors` list (strings or { url })
+   */
+  getMirrorUrls(download) {
+    const settings = this.store.get('launcher-settings', {});
+    const storeUrl = process.env.OTH_STORE_URL || 'http://localhost:3000';
+    const resolve = (url) => url.startsWith('/') ? `${storeUrl}${url}` : url;
+    const urls = [];
+
+    if (download.downloadUrl && download.downloadUrl.startsWith('/')) {
+      for (const base of settings.downloads?.mirrors || []) {
+        if (typeof base === 'string' && base) {
+          urls.push(`${base.replace(/\/+$/, '')}${download.downloadUrl}`);
+        }
+      }
+    }
+
+    if (download.downloadUrl) {
+      urls.push(resolve(download.downloadUrl));
+    }
+
+    for (const mirror of download.mirrors || []) {
+      const url = typeof mirror === 'string' ? mirror : mirror?.url;
+      if (url) {
+        urls.push(resolve(url));
+      }
+    }
+
+    const unique = [...new Set(urls)];
+    if (unique.length === 0) {
+      throw new Error('Download URL is required');
+    }
+    return unique;
+  }
+
+  /**
+   * Whether a failed transfer should move on to the next mirror
+   */
+  shouldFailOver(error) {
+    if (['SLOW_MIRROR', 'DOWNLOAD_CORRUPT'].includes(error.code)) {
+      return true;
+    }
+    const { type } = classifyError(error);
+    return ['network', 'http-4xx', 'http-5xx'].includes(type);
+  }
+
+  /**
+   * Whether an active download has another mirror to fall back to
+   */
+  hasNextMirror(download) {
+    const activeDownload = this.activeDownloads.get(download.id);
+    return !!activeDownload?.mirrors && (download.mirrorIndex || 0) < activeDownload.mirrors.length - 1;
+  }
+
+  /**
+   * Whether a transfer is too slow to keep when another mirror is available
+   * Not applied while the bandwidth cap is holding transfers back.
+   */
+  isMirrorTooSlow(download, bytes, elapsed) {
+    const settings = this.store.get('launcher-settings', {});
+    const minSpeed = Number(settings.downloads?.minMirrorSpeed ?? DEFAULT_MIN_MIRROR_SPEED);
+
+    if (!(minSpeed > 0) || elapsed < SLOW_MIRROR_WINDOW || this.throttle.isLimited() || !this.hasNextMirror(download)) {
+      return false;
+    }
+    return bytes / (elapsed / 1000) < minSpeed;
+  }
+
+  /**
+   * Fetch a download into its .part file, trying each mirror in turn
+   * Records which mirror served the file in `servedBy`.
+   */
+  async downloadFromMirrors(download, partialPath, attemptStartedAt) {
+    const mirrors = this.getMirrorUrls(download);
+    const activeDownload = this.activeDownloads.get(download.id);
+    if (activeDownload) {
+      activeDownload.mirrors = mirrors;
+    }
+
+    for (let index = 0; index < mirrors.length; index++) {
+      download.mirrorIndex = index;
+      download.mirror = mirrors[index];
+
+      try {
+        const transfer = await this.downloadFile(mirrors[index], partialPath, download);
+
+        // Check size/hash before the file is handed to anything else
+        this.checkTransferIntegrity(download, transfer);
+
+        download.servedBy = mirrors[index];
+        return transfer;
+      } catch (error) {
+        const stopped = ['paused', 'cancelled'].includes(download.status);
+        if (stopped || index === mirrors.length - 1 || !this.shouldFailOver(error)) {
+          throw error;
+        }
+
+        // A bad copy on one mirror says nothing about the next one
+        if (error.code === 'DOWNLOAD_CORRUPT') {
+          await this.discardPartial(download);
+        }
+
+        this.recordAttempt(download, error, error.code === 'SLOW_MIRROR' ? 'slow-mirror' : classifyError(error).type, attemptStartedAt);
+        console.log(`🪞 Mirror ${index + 1}/${mirrors.length} failed (${error.message}), trying next:`, download.displayName || download.name);
+      }
+    }
+  }
+
+  /**
+   * Bytes still to come for active downloads other than `excludeId`
+   */
+  getReservedBytes(excludeId = null) {
+    let reserved = 0;
+    for (const { download } of this.activeDownloads.values()) {
+      if (download.id !== excludeId && download.totalBytes > 0) {
+        reserved += Math.max(0, download.totalBytes - (download.downloadedBytes || 0));
+      }
+    }
+    return reserved;
+  }
+
+  /**
+   * Quota in bytes for a download location (launcher-settings.downloads.quotas), or null
+   */
+  getQuota(location) {
+    const settings = this.store.get('launcher-settings', {});
+    const quotas = settings.downloads?.quotas || {};
+    const resolved = path.resolve(location);
+
+    for (const [quotaPath, bytes] of Object.entries(quotas)) {
+      if (path.resolve(quotaPath) === resolved && Number(bytes) > 0) {
+        return Number(bytes);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Bytes the launcher itself keeps in a location: completed archives and partial files
+   */
+  async getLocationUsage(location, excludeId = null) {
+    const resolved = path.resolve(location);
+    const files = [
+      ...this.complete.filter(d => !d.installed).map(d => d.filePath),
+      ...[...this.scheduled, ...this.upNext].filter(d => d.id !== excludeId).map(d => d.partialPath)
+    ].filter(filePath => filePath && path.dirname(path.resolve(filePath)) === resolved);
+
+    let used = 0;
+    for (const filePath of files) {
+      try {
+        used += (await fs.stat(filePath)).size;
+      } catch (err) {
+        // File is gone
+      }
+    }
+    return used;
+  }
+
+  /**
+   * Check free space and the location quota for `bytesNeeded` more bytes of a download
+   */
+  async checkDiskSpace(download, bytesNeeded) {
+    const location = this.getDownloadLocation();
+    const reserved = this.getReservedBytes(download.id);
+    const check = await checkFreeSpace(location, bytesNeeded, reserved);
+    if (!check.ok) {
+      return check;
+    }
+
+    const quota = this.getQuota(location);
+    if (quota && bytesNeeded) {
+      const used = await this.getLocationUsage(location, download.id);
+      const remaining = Math.max(0, quota - used - reserved);
+      if (bytesNeeded > remaining) {
+        return {
+          ok: false,
+          needed: bytesNeeded,
+          available: remaining,
+          quota,
+          used,
+          reason: `Download location quota reached: ${formatBytes(bytesNeeded)} needed, ${formatBytes(remaining)} of ${formatBytes(quota)} left`
+        };
+      }
+    }
+
+    return check;
+  }
+
+  /**
+   * Put items held for lack of space back in line once they fit
+   */
+  async releaseHeldDownloads() {
+    const held = this.upNext.filter(d => d.status === 'insufficient-space' && !this.activeDownloads.has(d.id));
+    const released = [];
+
+    for (const download of held) {
+      const needed = download.spaceCheck?.needed ||
+        Math.max(0, (download.totalBytes || 0) - (download.downloadedBytes || 0));
+      const check = await this.checkDiskSpace(download, needed);
+
+      if (check.ok && download.status === 'insufficient-space') {
+        this.setStatus(download, 'queued');
+        download.error = null;
+        download.spaceCheck = null;
+        released.push(download);
+        console.log('💾 Space available again:', download.displayName || download.name);
+      }
+    }
+
+    if (released.length > 0) {
+      this.saveQueues();
+    }
+    return released;
+  }
+
+  /**
+   * Register what to do with a finished file
+   * The handler receives the completed download record (plus { onProgress }) and
+   * returns a result object. Install actions ({ install: true }) run through the
+   * install pipeline; `cleanup: false` keeps the downloaded file afterwards.
+   */
+  registerPostAction(name, handler, options = {}) {
+    this.postActions.set(name, {
+      handler,
+      install: !!options.install,
+      cleanup: options.cleanup !== false
+    });
+  }
+
+  /**
+   * Post-download action for a download: its own, else install or save
+   * depending on launcher-settings.downloads.autoInstall
+   */
+  getPostAction(download) {
+    if (download.postAction) {
+      return download.postAction;
+    }
+    const settings = this.store.get('launcher-settings', {});
+    return settings.downloads?.autoInstall ? this.getInstallAction(download) : 'save';
+  }
+
+  /**
+   * Action that installs a download: its own install action, else the
+   * default for its kind (apps: install-app for packages, register-app otherwise)
+   */
+  getInstallAction(download) {
+    if (download.postAction && download.postAction !== 'save') {
+      return download.postAction;
+    }
+    if (download.kind === 'app') {
+      return APP_PACKAGE_EXTENSIONS.test(download.fileName || '') ? 'install-app' : 'register-app';
+    }
+    return DEFAULT_INSTALL_ACTION;
+  }
+
+  /**
+   * Run a completed download's post-download action (or the one named)
+   */
+  async runPostAction(download, actionName = null) {
+    const name = actionName || this.getPostAction(download);
+    const action = this.postActions.get(name);
+
+    if (action?.install) {
+      return this.runInstallPipeline(download, name, action);
+    }
+
+    download.postActionStatus = 'running';
+    download.postActionError = null;
+    this.saveQueues();
+
+    try {
+      if (!action) {
+        throw new Error(`Unknown post-download action: ${name}`);
+      }
+
+      const result = await action.handler(download, { onProgress: () => {} });
+
+      download.postActionStatus = 'done';
+      this.history.recordPostAction(download, 'done');
+      this.saveQueues();
+      this.emit('download-processed', download, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Post-download action "${name}" failed:`, error.message);
+      download.postActionStatus = 'failed';
+      download.postActionError = error.message;
+      this.history.recordPostAction(download, 'failed', error);
+      this.saveQueues();
+      this.emit('download-process-failed', download, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Install pipeline: verifying → installing → cleaning-up → installed
+   * Each stage is a download status and reports progress through 'install-progress'.
+   * On failure the handler has rolled back its own changes; the archive is kept
+   * and the download ends up install-failed (or corrupt) so it can be retried.
+   */
+  async runInstallPipeline(download, name, action) {
+    if (this.installing.has(download.id)) {
+      throw new Error('Download is already being installed');
+    }
+    if (!['complete', 'install-failed'].includes(download.status)) {
+      throw new Error(`Cannot install a download that is ${download.status}`);
+    }
+
+    const setStage = (status) => {
+      this.setStatus(download, status);
+      download.installProgress = 0;
+      this.saveQueues();
+      this.emit('install-progress', download);
+      console.log(`🧰 ${status}:`, download.displayName || download.name);
+    };
+
+    this.installing.add(download.id);
+    download.postActionStatus = 'running';
+    download.postActionError = null;
+
+    try {
+      // 1. Verify the archive before anything is extracted or registered
+      setStage('verifying');
+      const check = await verifyFile(download.filePath, this.getFileIntegrity(download));
+      if (!check.valid) {
+        this.setStatus(download, 'corrupt');
+        download.error = `Integrity check failed: ${check.problems.join(', ')}`;
+        const error = new Error(download.error);
+        error.code = 'DOWNLOAD_CORRUPT';
+        throw error;
+      }
+
+      // 2. Install
+      setStage('installing');
+      const result = await action.handler(download, {
+        onProgress: (percent) => {
+          download.installProgress = Math.max(0, Math.min(100, Math.round(percent)));
+          this.emit('install-progress', download);
+        }
+      });
+
+      // 3. Remove the archive (failing to is not worth failing the install)
+      setStage('cleaning-up');
+      if (action.cleanup) {
+        await fs.unlink(download.filePath).catch(err => {
+          console.warn('⚠️ Could not remove downloaded archive:', err.message);
+        });
+        download.archiveRemoved = true;
+      }
+
+      this.setStatus(download, 'installed');
+      download.installProgress = 100;
+      download.postActionStatus = 'done';
+      this.markInstalled(download.id);
+      this.history.recordPostAction(download, 'done');
+      this.saveQueues();
+
+      this.emit('install-progress', download);
+      this.emit('download-processed', download, result);
+      return result;
+    } catch (error) {
+      console.error(`❌ Install ("${name}") failed:`, error.message);
+      if (download.status !== 'corrupt') {
+        this.setStatus(download, 'install-failed');
+      }
+      download.postActionStatus = 'failed';
+      download.postActionError = error.message;
+      this.history.recordPostAction(download, 'failed', error);
+      this.saveQueues();
+      this.emit('download-process-failed', download, error);
+      throw error;
+    } finally {
+      this.installing.delete(download.id);
+    }
+  }
+
+  /**
+   * Resolve once a download has finished and its post-download action ran
+   * Rejects on a final error, corruption, cancellation or a failed action.
+   */
+  waitForDownload(downloadId) {
+    return new Promise((resolve, reject) => {
+      const listeners = {
+        'download-processed': (download, result) => {
+          finish(download, () => resolve({ download, result }));
+        },
+        'download-process-failed': (download, error) => {
+          finish(download, () => reject(error));
+        },
+        'download-error': (download) => {
+          // Automatic retries are still in progress
+          if (download.status === 'retrying') {
+            return;
+          }
+          finish(download, () => reject(new Error(download.error || 'Download failed')));
+        },
+        'download-cancelled': (download) => {
+          finish(download, () => reject(new Error('Download cancelled')));
+        }
+      };
+
+      const finish = (download, settle) => {
+        if (download.id !== downloadId) {
+          return;
+        }
+        for (const [event, listener] of Object.entries(listeners)) {
+          this.off(event, listener);
+        }
+        settle();
+      };
+
+      for (const [event, listener] of Object.entries(listeners)) {
+        this.on(event, listener);
+      }
+    });
+  }
+
+  /**
+   * Add a failed attempt to the download's history
    */
-  moveToUpNext(downloadId) {
-    // Find in scheduled
-    const index = this.scheduled.findIndex(d => d.id === downloadId);
-    if (index === -1) {
-      throw new Error('Download not found in scheduled queue');
+  recordAttempt(download, error, type, startedAt) {
+    if (!Array.isArray(download.attempts)) {
+      download.attempts = [];
     }
 
-    const download = this.scheduled.splice(index, 1)[0];
-    this.upNext.push(download);
-    this.saveQueues();
+    const attempt = {
+      attempt: download.attempts.length + 1,
+      startedAt,
+      failedAt: new Date().toISOString(),
+      type,
+      error: error.message,
+      code: error.code || null,
+      statusCode: error.statusCode || null,
+      mirror: download.mirror || null,
+      downloadedBytes: download.downloadedBytes || 0,
+      retryIn: null
+    };
 
-    console.log('⏭️ Moved to up next:', download.displayName || download.name);
-    return download;
+    download.attempts.push(attempt);
+    return attempt;
   }
 
   /**
-   * Move download back to scheduled
+   * Verify a finished transfer against the expected size/SHA-256
+   * Without a declared size, the server's Content-Length still catches truncated transfers.
    */
-  moveToScheduled(downloadId) {
-    // Find in upNext
-    const index = this.upNext.findIndex(d => d.id === downloadId);
-    if (index === -1) {
-      throw new Error('Download not found in up next queue');
+  checkTransferIntegrity(download, transfer) {
+    const expected = getExpectedIntegrity(download);
+    if (expected.size === null && transfer.totalBytes > 0) {
+      expected.size = transfer.totalBytes;
     }
 
-    const download = this.upNext.splice(index, 1)[0];
-    this.scheduled.push(download);
-    this.saveQueues();
+    const { valid, problems } = compareIntegrity(expected, transfer);
 
-    console.log('📅 Moved to scheduled:', download.displayName || download.name);
-    return download;
+    download.fileSha256 = transfer.sha256;
+    download.verifiedAt = new Date().toISOString();
+
+    if (!valid) {
+      const error = new Error(`Integrity check failed: ${problems.join(', ')}`);
+      error.code = 'DOWNLOAD_CORRUPT';
+      throw error;
+    }
   }
 
   /**
-   * Remove download from queue
+   * Expected size/hash of a finished file
+   * Without a published hash, compare against what we recorded at download time.
    */
-  removeFromQueue(downloadId) {
-    // Try to find and remove from all queues
-    let found = false;
-    
-    // Check scheduled
-    let index = this.scheduled.findIndex(d => d.id === downloadId);
-    if (index !== -1) {
-      this.scheduled.splice(index, 1);
-      found = true;
+  getFileIntegrity(download) {
+    const expected = getExpectedIntegrity(download);
+    if (!expected.sha256 && download.fileSha256) {
+      expected.sha256 = download.fileSha256;
     }
+    if (expected.size === null && download.totalBytes > 0) {
+      expected.size = download.totalBytes;
+    }
+    return expected;
+  }
 
-    // Check upNext
-    index = this.upNext.findIndex(d => d.id === downloadId);
-    if (index !== -1) {
-      this.upNext.splice(index, 1);
-      found = true;
+  /**
+   * Re-check a completed download's file on disk
+   */
+  async verifyDownload(downloadId) {
+    const download = this.complete.find(d => d.id === downloadId);
+    if (!download) {
+      throw new Error('Download not found in completed list');
     }
 
-    // Check if it's currently downloading - cancel it
-    if (this.activeDownloads.has(downloadId)) {
-      this.cancelDownload(downloadId);
-      found = true;
+    if (download.archiveRemoved) {
+      throw new Error('The downloaded file was removed after installing');
     }
 
-    if (found) {
-      this.saveQueues();
-      console.log('🗑️ Removed from queue:', downloadId);
-      return true;
+    const result = await verifyFile(download.filePath, this.getFileIntegrity(download));
+
+    download.verifiedAt = new Date().toISOString();
+    // Install stages keep their own status - only plain finished files are re-marked
+    const status = result.valid ? 'complete' : 'corrupt';
+    if (['complete', 'corrupt', 'missing'].includes(download.status) && download.status !== status) {
+      this.setStatus(download, status);
     }
+    download.error = result.valid ? null : `Integrity check failed: ${result.problems.join(', ')}`;
+    this.saveQueues();
 
-    return false;
+    console.log(result.valid ? '✅ Download verified:' : '⚠️ Download corrupt:', download.displayName || download.name);
+    return { valid: result.valid, problems: result.problems, download };
   }
 
   /**
-   * Start downloading from "Up Next" queue
+   * Put a failed, corrupt or cancelled download back in line
    */
-  async startNextDownload() {
-    if (this.upNext.length === 0) {
-      console.log('📭 No downloads in up next queue');
-      return null;
+  async retryDownload(downloadId) {
+    let download = this.upNext.find(d => d.id === downloadId);
+
+    if (!download) {
+      // Corrupt, missing or uninstallable files are retried from the completed list
+      const index = this.complete.findIndex(d => d.id === downloadId && ['corrupt', 'missing', 'install-failed'].includes(d.status));
+      if (index !== -1) {
+        download = this.complete.splice(index, 1)[0];
+        this.insertByPriority(this.upNext, download);
+      }
     }
 
-    // Get the first item from up next
-    const download = this.upNext[0];
-    
+    if (!download) {
+      throw new Error('Download not found');
+    }
+
+    if (!['error', 'corrupt', 'missing', 'cancelled', 'retrying', 'insufficient-space', 'install-failed'].includes(download.status)) {
+      throw new Error(`Cannot retry a download that is ${download.status}`);
+    }
+
+    // Still winding down from a cancel - a new transfer would share its .part file
     if (this.activeDownloads.has(download.id)) {
-      console.log('⚠️ Download already active:', download.id);
-      return null;
+      throw new Error('Download is still stopping, try again in a moment');
     }
 
-    console.log('🚀 Starting download:', download.displayName || download.name);
-    
-    try {
-      await this.startDownload(download);
-      return download;
-    } catch (error) {
-      console.error('❌ Failed to start download:', error);
-      download.status = 'error';
-      download.error = error.message;
-      this.saveQueues();
-      this.emit('download-error', download);
-      throw error;
+    // Failed downloads keep their .part file and resume; the others start over
+    if (download.status !== 'error') {
+      await this.discardPartial(download);
     }
+
+    this.setStatus(download, 'queued');
+    download.error = null;
+    download.completedAt = null;
+    download.retryCount = 0; // A manual retry gets a fresh set of automatic attempts
+    download.nextRetryAt = null;
+    this.saveQueues();
+
+    console.log('🔁 Retrying download:', download.displayName || download.name);
+    this.processQueue();
+    return download;
   }
 
   /**
-   * Actually start the download process
+   * Path of the in-progress file for a download target
    */
-  async startDownload(download) {
-    // Update status
-    download.status = 'downloading';
-    download.startedAt = new Date().toISOString();
-    this.saveQueues();
-
-    // Mark as active
-    this.activeDownloads.set(download.id, {
-      download,
-      abortController: null
-    });
+  getPartialPath(filePath) {
+    return `${filePath}.part`;
+  }
 
-    this.emit('download-started', download);
+  /**
+   * Size of the partial file on disk, or 0 if there is nothing to resume
+   */
+  async getResumeOffset(partialPath, download) {
+    // Without validators we can't tell whether the remote file changed
+    if (!download.etag && !download.lastModified) {
+      return 0;
+    }
 
     try {
-      // Get download settings
-      const settings = this.store.get('launcher-settings', {});
-      let downloadPath = settings.downloads?.location;
-      
-      if (!downloadPath) {
-        try {
-          downloadPath = app.getPath('downloads');
-        } catch (e) {
-          downloadPath = path.join(app.getPath('documents'), 'OTH Downloads', 'Modules');
-        }
-      }
-
-      const fileName = `${(download.name || 'download').replace(/[^a-z0-9]/gi, '_')}-v${download.version || '1.0.0'}.zip`;
-      const filePath = path.join(downloadPath, fileName);
-      
-      await fs.mkdir(downloadPath, { recursive: true });
-
-      // Download the file
-      const baseUrl = process.env.OTH_STORE_URL || 'http://localhost:3000';
-      const fullUrl = download.downloadUrl.startsWith('/') 
-        ? `${baseUrl}${download.downloadUrl}` 
-        : download.downloadUrl;
-      
-      await this.downloadFile(fullUrl, filePath, download);
-
-      // Download complete - move to complete queue
-      download.status = 'complete';
-      download.progress = 100;
-      download.completedAt = new Date().toISOString();
-      download.filePath = filePath;
+      const stats = await fs.stat(partialPath);
+      return stats.size;
+    } catch (error) {
+      return 0;
+    }
+  }
 
-      // Remove from upNext, add to complete
-      const index = this.upNext.findIndex(d => d.id === download.id);
-      if (index !== -1) {
-        this.upNext.splice(index, 1);
+  /**
+   * Delete a download's partial file and forget its resume state
+   */
+  async discardPartial(download) {
+    if (download.partialPath) {
+      try {
+        await fs.unlink(download.partialPath);
+      } catch (err) {
+        // Ignore - file may never have been created
       }
-      this.complete.unshift(download); // Add to beginning
-
-      this.activeDownloads.delete(download.id);
-      this.saveQueues();
-
-      this.emit('download-complete', download);
-      console.log('✅ Download complete:', download.displayName || download.name);
+    }
 
-      // Start next download if available
-      setTimeout(() => {
-        this.startNextDownload().catch(err => {
-          console.error('Failed to start next download:', err);
-        });
-      }, 500);
+    download.downloadedBytes = 0;
+    download.progress = 0;
+    download.etag = null;
+    download.lastModified = null;
+  }
 
-      return download;
-    } catch (error) {
-      // Download failed
-      download.status = 'error';
-      download.error = error.message;
-      this.activeDownloads.delete(download.id);
-      this.saveQueues();
-      this.emit('download-error', download);
-      throw error;
+  /**
+   * Check the validators of a 206 response against the ones we stored
+   */
+  validatorsMatch(download, etag, lastModified) {
+    if (download.etag && etag) {
+      return download.etag === etag;
+    }
+    if (download.lastModified && lastModified) {
+      return download.lastModified === lastModified;
     }
+    return true;
+  }
+
+  /**
+   * Create the error used to stop an active request on pause/cancel
+   */
+  createAbortError(reason) {
+    const error = new Error(`Download ${reason}`);
+    error.code = reason === 'paused' ? 'DOWNLOAD_PAUSED' : 'DOWNLOAD_CANCELLED';
+    return error;
   }
 
   /**
    * Download file with progress tracking
+   * Resumes into an existing partial file with a Range request when the
+   * server supports it and the ETag/Last-Modified validators still match.
+   * Resolves with the SHA-256 and size of the complete file.
    */
-  downloadFile(url, filePath, download) {
+  async downloadFile(url, filePath, download, redirects = 0) {
+    const resumeFrom = await this.getResumeOffset(filePath, download);
+
+    // Hash what is already on disk so the whole file is verified while streaming
+    const resumeHash = resumeFrom > 0 ? await createHashFromFile(filePath, resumeFrom) : null;
+
     return new Promise((resolve, reject) => {
       const protocol = url.startsWith('https') ? https : http;
       const startTime = Date.now();
       let lastUpdate = Date.now();
+      let writeStream = null;
+      let restarting = false;
+      let failure = null;
 
-      const request = protocol.get(url, (response) => {
-        // Handle redirects
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          const redirectUrl = response.headers.location;
-          if (redirectUrl) {
-            this.downloadFile(redirectUrl, filePath, download)
-              .then(resolve)
-              .catch(reject);
-            return;
-          } else {
+      // Stop the transfer, flushing what we already received so the .part file stays resumable
+      const fail = (error) => {
+        if (restarting || failure) {
+          return;
+        }
+        failure = error;
+        if (writeStream && !writeStream.destroyed) {
+          writeStream.end();
+          return;
+        }
+        reject(error);
+      };
+
+      const headers = {};
+      if (resumeFrom > 0) {
+        headers.Range = `bytes=${resumeFrom}-`;
+        // If-Range only accepts strong ETags
+        const strongEtag = download.etag && !download.etag.startsWith('W/') ? download.etag : null;
+        const validator = strongEtag || download.lastModified;
+        if (validator) {
+          headers['If-Range'] = validator;
+        }
+        console.log(`⏯️ Resuming from byte ${resumeFrom}:`, download.displayName || download.name);
+      }
+
+      const restart = () => {
+        restarting = true;
+        this.discardPartial(download)
+          .then(() => this.downloadFile(url, filePath, download, redirects))
+          .then(resolve)
+          .catch(reject);
+      };
+
+      // Authenticated through the store session unless the item opts out
+      const get = this.session && download.useSession !== false
+        ? (...args) => sessionGet(this.session, ...args)
+        : (...args) => protocol.get(...args);
+
+      const request = get(url, { headers }, (response) => {
+        // Handle redirects (Location may be relative)
+        if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+          const location = response.headers.location;
+          response.resume();
+          if (!location) {
             reject(new Error('Redirect location not found'));
             return;
           }
+          if (redirects >= MAX_REDIRECTS) {
+            reject(new Error('Too many redirects'));
+            return;
+          }
+          this.downloadFile(new URL(location, url).toString(), filePath, download, redirects + 1)
+            .then(resolve)
+            .catch(reject);
+          return;
+        }
+
+        // Range not satisfiable - our partial file doesn't fit the remote file any more
+        if (response.statusCode === 416) {
+          response.resume();
+          console.log('⚠️ Partial file rejected by server, restarting download');
+          restart();
+          return;
+        }
+
+        const isPartial = response.statusCode === 206;
+
+        if (response.statusCode !== 200 && !isPartial) {
+          response.resume();
+          const error = new Error(`Download failed with status ${response.statusCode}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+          return;
         }
 
-        if (response.statusCode !== 200) {
-          reject(new Error(`Download failed with status ${response.statusCode}`));
+        const etag = response.headers.etag || null;
+        const lastModified = response.headers['last-modified'] || null;
+
+        if (isPartial && !this.validatorsMatch(download, etag, lastModified)) {
+          request.destroy();
+          console.log('⚠️ Remote file changed since last attempt, restarting download');
+          restart();
           return;
         }
 
-        const totalBytes = parseInt(response.headers['content-length'], 10) || 0;
-        let downloadedBytes = 0;
+        if (resumeFrom > 0 && !isPartial) {
+          console.log('⚠️ Server sent the full file, restarting from zero');
+        }
+
+        // Record validators so a later attempt can resume safely
+        download.etag = etag;
+        download.lastModified = lastModified;
+        download.acceptRanges = isPartial || response.headers['accept-ranges'] === 'bytes';
+
+        const startOffset = isPartial ? resumeFrom : 0;
+        const contentLength = parseInt(response.headers['content-length'], 10) || 0;
+        const totalBytes = contentLength > 0 ? startOffset + contentLength : 0;
+        let downloadedBytes = startOffset;
 
         download.totalBytes = totalBytes;
+        download.downloadedBytes = downloadedBytes;
 
-        const writeStream = require('fs').createWriteStream(filePath);
+        const hash = isPartial ? resumeHash : crypto.createHash('sha256');
 
-        response.on('data', (chunk) => {
-          // Check if download is paused
-          if (this.pausedDownloads.has(download.id)) {
-            request.destroy();
-            writeStream.close();
-            reject(new Error('Download paused'));
-            return;
-          }
+        // Connection dropped before the body was complete
+        response.on('aborted', () => {
+          const error = new Error('Connection lost during download');
+          error.code = 'ECONNRESET';
+          fail(error);
+        });
 
-          downloadedBytes += chunk.length;
-          download.downloadedBytes = downloadedBytes;
+        const startStreaming = () => {
+          writeStream = require('fs').createWriteStream(filePath, { flags: isPartial ? 'a' : 'w' });
 
-          // Calculate progress
-          if (totalBytes > 0) {
-            download.progress = Math.round((downloadedBytes / totalBytes) * 100);
-          }
+          // Written by hand instead of piped so the bandwidth cap can hold the response back
+          response.on('data', (chunk) => {
+            hash.update(chunk);
+            downloadedBytes += chunk.length;
+            download.downloadedBytes = downloadedBytes;
+            download.transferredBytes = (download.transferredBytes || 0) + chunk.length;
+
+            // Calculate progress
+            if (totalBytes > 0) {
+              download.progress = Math.round((downloadedBytes / totalBytes) * 100);
+            }
 
-          // Calculate speed and time remaining (update every 500ms)
-          const now = Date.now();
-          if (now - lastUpdate >= 500) {
-            const elapsed = (now - startTime) / 1000; // seconds
-            download.speed = downloadedBytes / elapsed; // bytes per second
+            // Calculate speed and time remaining (update every 500ms)
+            const now = Date.now();
+            if (now - lastUpdate >= 500) {
+              const elapsed = (now - startTime) / 1000; // seconds
+              download.speed = (downloadedBytes - startOffset) / elapsed; // bytes per second
+
+              // Crawling along while another mirror is available - move on
+              if (this.isMirrorTooSlow(download, downloadedBytes - startOffset, now - startTime)) {
+                const error = new Error('Mirror too slow');
+                error.code = 'SLOW_MIRROR';
+                request.destroy(error);
+              }
             
-            if (totalBytes > 0 && download.speed > 0) {
-              const remainingBytes = totalBytes - downloadedBytes;
-              download.timeRemaining = remainingBytes / download.speed; // seconds
+              if (totalBytes > 0 && download.speed > 0) {
+                const remainingBytes = totalBytes - downloadedBytes;
+                download.timeRemaining = remainingBytes / download.speed; // seconds
+              }
+
+              lastUpdate = now;
+              // In memory only - the .part file is the resume state, so progress isn't worth a store write
+              this.emit('queues-updated', this.getAllQueues());
+              this.emit('download-progress', download, this.getThroughput());
             }
 
-            lastUpdate = now;
-            this.saveQueues();
-            this.emit('download-progress', download);
-          }
-        });
+            const canContinue = writeStream.write(chunk);
+            const delay = this.throttle.consume(chunk.length);
+
+            if (!canContinue || delay > 0) {
+              response.pause();
+
+              const waits = [];
+              if (!canContinue) {
+                waits.push(new Promise(r => writeStream.once('drain', r)));
+              }
+              if (delay > 0) {
+                waits.push(new Promise(r => setTimeout(r, delay)));
+              }
+
+              Promise.all(waits).then(() => {
+                if (!failure) {
+                  response.resume();
+                }
+              });
+            }
+          });
 
-        response.pipe(writeStream);
+          response.on('end', () => {
+            if (!failure) {
+              writeStream.end();
+            }
+          });
 
-        writeStream.on('finish', () => {
-          writeStream.close();
-          resolve();
-        });
+          writeStream.on('finish', () => {
+            writeStream.close();
+            if (failure) {
+              reject(failure);
+              return;
+            }
+            resolve({ sha256: hash.digest('hex'), size: downloadedBytes, totalBytes });
+          });
 
-        writeStream.on('error', (error) => {
-          require('fs').unlink(filePath, () => {}); // Delete partial file
-          reject(error);
-        });
+          writeStream.on('error', (error) => {
+            request.destroy();
+            reject(error);
+          });
+
+          response.resume();
+        };
+
+        // Hold the body until we know the rest of the file fits on disk
+        response.pause();
+        this.checkDiskSpace(download, totalBytes > 0 ? totalBytes - startOffset : 0)
+          .then((spaceCheck) => {
+            if (!spaceCheck.ok) {
+              request.destroy(createSpaceError(spaceCheck));
+              return;
+            }
+            if (!failure) {
+              startStreaming();
+            }
+          })
+          .catch(error => request.destroy(error));
       });
 
-      request.on('error', (error) => {
-        reject(error);
+      request.on('error', fail);
+
+      request.setTimeout(SOCKET_TIMEOUT, () => {
+        const error = new Error('Connection timed out');
+        error.code = 'ETIMEDOUT';
+        request.destroy(error);
       });
 
-      // Store request for potential cancellation
+      // Store request for potential cancellation - or stop right away when the
+      // download was paused/cancelled while the partial file was being checked
       const activeDownload = this.activeDownloads.get(download.id);
-      if (activeDownload) {
+      if (!activeDownload) {
+        request.destroy(this.createAbortError('cancelled'));
+      } else if (download.status === 'paused') {
+        request.destroy(this.createAbortError('paused'));
+      } else {
         activeDownload.request = request;
       }
     });
@@ -366,14 +1867,45 @@ class DownloadQueueManager extends EventEmitter {
   /**
    * Pause a download
    */
-  pauseDownload(downloadId) {
+  pauseDownload(downloadId, reason = 'user') {
     if (!this.activeDownloads.has(downloadId)) {
-      throw new Error('Download not active');
+      return this.holdDownload(downloadId, reason);
+    }
+
+    const activeDownload = this.activeDownloads.get(downloadId);
+    const download = activeDownload.download;
+    this.setStatus(download, 'paused');
+    this.pausedDownloads.add(downloadId);
+    download.pausedBy = reason; // 'user', 'schedule' or 'app'
+    download.speed = 0;
+    download.timeRemaining = null;
+
+    // Stop the transfer - the partial file is kept for resuming
+    if (activeDownload.request) {
+      activeDownload.request.destroy(this.createAbortError('paused'));
+    }
+
+    this.saveQueues();
+    this.emit('download-paused', download);
+
+    console.log('⏸️ Download paused:', download.displayName || download.name);
+    return download;
+  }
+
+  /**
+   * Pause an "Up Next" item that is waiting for a slot so it doesn't start
+   */
+  holdDownload(downloadId, reason = 'user') {
+    const download = this.upNext.find(d => d.id === downloadId);
+    if (!download) {
+      throw new Error('Download not found in queue');
     }
 
+    this.setStatus(download, 'paused');
     this.pausedDownloads.add(downloadId);
-    const download = this.activeDownloads.get(downloadId).download;
-    download.status = 'paused';
+    download.pausedBy = reason;
+    download.nextRetryAt = null;
+
     this.saveQueues();
     this.emit('download-paused', download);
 
@@ -382,25 +1914,88 @@ class DownloadQueueManager extends EventEmitter {
   }
 
   /**
-   * Resume a download
+   * Pause every active or waiting "Up Next" download
    */
-  async resumeDownload(downloadId) {
-    if (!this.pausedDownloads.has(downloadId)) {
-      throw new Error('Download not paused');
+  pauseAll() {
+    const paused = [];
+
+    for (const download of [...this.upNext]) {
+      const active = this.activeDownloads.get(download.id);
+      const running = active && active.download.status === 'downloading';
+      if (running || ['queued', 'retrying'].includes(download.status)) {
+        paused.push(this.pauseDownload(download.id));
+      }
     }
 
-    this.pausedDownloads.delete(downloadId);
-    
+    console.log(`⏸️ Paused ${paused.length} download(s)`);
+    return paused;
+  }
+
+  /**
+   * Resume every paused download
+   */
+  async resumeAll() {
+    const resumed = [];
+
+    for (const download of this.upNext.filter(d => d.status === 'paused' && !this.activeDownloads.has(d.id))) {
+      resumed.push(await this.resumeDownload(download.id));
+    }
+
+    console.log(`▶️ Resumed ${resumed.length} download(s)`);
+    return resumed;
+  }
+
+  /**
+   * Retry every failed, corrupt, missing or space-held download
+   */
+  async retryFailed() {
+    const failed = [...this.upNext, ...this.complete].filter(d =>
+      FAILED_STATUSES.includes(d.status) && !this.activeDownloads.has(d.id)
+    );
+    const retried = [];
+
+    for (const download of failed) {
+      try {
+        retried.push(await this.retryDownload(download.id));
+      } catch (error) {
+        console.error('Failed to retry download:', download.displayName || download.name, error.message);
+      }
+    }
+
+    console.log(`🔁 Retrying ${retried.length} failed download(s)`);
+    return retried;
+  }
+
+  /**
+   * Resume a download
+   */
+  async resumeDownload(downloadId) {
     // Find the download in upNext
     const download = this.upNext.find(d => d.id === downloadId);
     if (!download) {
       throw new Error('Download not found');
     }
 
+    // Paused state survives restarts through the persisted status
+    if (download.status !== 'paused') {
+      throw new Error('Download not paused');
+    }
+
+    // Still winding down from the pause - let the transfer settle first
+    if (this.activeDownloads.has(downloadId)) {
+      throw new Error('Download is still stopping, try again in a moment');
+    }
+
+    this.pausedDownloads.delete(downloadId);
+
     console.log('▶️ Resuming download:', download.displayName || download.name);
     
-    // Restart the download
-    await this.startDownload(download);
+    // Back in line - it continues from its partial file once a slot is free
+    this.setStatus(download, 'queued');
+    download.pausedBy = null;
+    this.saveQueues();
+    this.emit('download-resumed', download);
+    this.processQueue();
     return download;
   }
 
@@ -408,25 +2003,37 @@ class DownloadQueueManager extends EventEmitter {
    * Cancel a download
    */
   cancelDownload(downloadId) {
+    const download = this.upNext.find(d => d.id === downloadId);
+    if (!download) {
+      throw new Error('Download not found in queue');
+    }
+
+    this.setStatus(download, 'cancelled');
+    download.speed = 0;
+    download.timeRemaining = null;
+    download.nextRetryAt = null;
+
     const activeDownload = this.activeDownloads.get(downloadId);
     if (activeDownload) {
-      // Abort the request if it exists
+      // Abort the request if it exists - startDownload drops the active entry and
+      // cleans up the partial file once the transfer has actually stopped
       if (activeDownload.request) {
-        activeDownload.request.destroy();
+        activeDownload.request.destroy(this.createAbortError('cancelled'));
+      }
+    } else {
+      this.discardPartial(download);
+      // An active download is recorded once its transfer has stopped
+      if (download.startedAt) {
+        this.history.recordResult(download, 'cancelled');
       }
-      this.activeDownloads.delete(downloadId);
     }
 
     this.pausedDownloads.delete(downloadId);
+    this.saveQueues();
 
-    // Remove from upNext
-    const index = this.upNext.findIndex(d => d.id === downloadId);
-    if (index !== -1) {
-      const download = this.upNext[index];
-      download.status = 'cancelled';
-      this.emit('download-cancelled', download);
-      console.log('❌ Download cancelled:', download.displayName || download.name);
-    }
+    this.emit('download-cancelled', download);
+    console.log('❌ Download cancelled:', download.displayName || download.name);
+    return download;
   }
 
   /**
@@ -452,12 +2059,12 @@ class DownloadQueueManager extends EventEmitter {
   }
 
   /**
-   * Get all queues
+   * Get all queues, each in execution order
    */
   getAllQueues() {
     return {
-      scheduled: this.scheduled,
-      upNext: this.upNext,
+      scheduled: this.sortQueue('scheduled'),
+      upNext: this.sortQueue('upNext'),
       complete: this.complete,
       activeDownloads: Array.from(this.activeDownloads.values()).map(ad => ad.download)
     };
@@ -0,0 +1,173 @@
+// How often the scheduler re-evaluates start times and time windows
+const CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * Download Scheduler for OTH Launcher
+ * Promotes scheduled downloads when their start time is reached and keeps
+ * active downloads inside the allowed time windows
+ * (launcher-settings.downloads.schedule)
+ */
+class DownloadScheduler {
+  constructor(queueManager) {
+    this.queueManager = queueManager;
+    this.timer = null;
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+    this.tick();
+    console.log('⏰ Download scheduler started');
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get schedule settings
+   */
+  getSettings() {
+    const settings = this.queueManager.store.get('launcher-settings', {});
+    return {
+      startAt: null,
+      windows: [],
+      ...settings.downloads?.schedule
+    };
+  }
+
+  /**
+   * Convert "HH:MM" to minutes since midnight
+   */
+  parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59) {
+      return null;
+    }
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check a date against a list of { start: 'HH:MM', end: 'HH:MM' } windows
+   * Windows may cross midnight (e.g. 22:00-06:00). No windows means always allowed.
+   */
+  isWithinWindows(date, windows) {
+    const validWindows = (windows || [])
+      .map(w => ({ start: this.parseTime(w.start), end: this.parseTime(w.end) }))
+      .filter(w => w.start !== null && w.end !== null);
+
+    if (validWindows.length === 0) {
+      return true;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return validWindows.some(({ start, end }) => {
+      if (start === end) {
+        return true; // Full day
+      }
+      if (start < end) {
+        return minutes >= start && minutes < end;
+      }
+      return minutes >= start || minutes < end;
+    });
+  }
+
+  /**
+   * Start time that applies to a download (its own, else the global one)
+   */
+  getStartTime(download, settings = this.getSettings()) {
+    const startAt = download.startAt || settings.startAt;
+    if (!startAt) {
+      return null;
+    }
+
+    const time = new Date(startAt);
+    return isNaN(time.getTime()) ? null : time;
+  }
+
+  /**
+   * Whether a download may transfer data right now
+   */
+  isDownloadAllowed(download, now = new Date(), settings = this.getSettings()) {
+    const startTime = this.getStartTime(download, settings);
+    if (startTime && startTime > now) {
+      return false;
+    }
+
+    return this.isWithinWindows(now, download.windows || settings.windows);
+  }
+
+  /**
+   * Apply the schedule to the queues
+   */
+  tick() {
+    const queueManager = this.queueManager;
+    const settings = this.getSettings();
+    const now = new Date();
+
+    try {
+      // 1. Promote scheduled items whose own start time has been reached
+      // (the global start time only holds back "Up Next")
+      const due = queueManager.scheduled.filter(d => d.startAt && new Date(d.startAt) <= now);
+
+      for (const download of due) {
+        console.log('⏰ Scheduled start reached:', download.displayName || download.name);
+        queueManager.moveToUpNext(download.id);
+      }
+
+      // 2. Pause active downloads that left their time window
+      for (const { download } of Array.from(queueManager.activeDownloads.values())) {
+        if (download.status === 'downloading' && !this.isDownloadAllowed(download, now, settings)) {
+          console.log('🌙 Outside download window, pausing:', download.displayName || download.name);
+          queueManager.pauseDownload(download.id, 'schedule');
+        }
+      }
+
+      // 3. Release downloads the schedule paused once their window opens again
+      // (and ones paused for launched apps that have all exited)
+      const released = queueManager.upNext.filter(d =>
+        d.status === 'paused' &&
+        !queueManager.activeDownloads.has(d.id) &&
+        ((d.pausedBy === 'schedule' && this.isDownloadAllowed(d, now, settings)) ||
+          (d.pausedBy === 'app' && !queueManager.suspended))
+      );
+
+      for (const download of released) {
+        queueManager.resumeDownload(download.id).catch(err => {
+          console.error('Failed to resume scheduled download:', err.message);
+        });
+      }
+
+      // 4. Re-check items held for lack of disk space
+      queueManager.releaseHeldDownloads()
+        .then(() => queueManager.processQueue())
+        .catch(err => console.error('Failed to re-check held downloads:', err.message));
+
+      queueManager.processQueue();
+    } catch (error) {
+      console.error('❌ Download scheduler check failed:', error);
+    }
+  }
+}
+
+module.exports = DownloadScheduler;
@@ -0,0 +1,59 @@
+/**
+ * Download state machine for OTH Launcher
+ *
+ *   queued → downloading → complete
+ *              ↓    ↑
+ *            paused → queued (waits for a free slot)
+ *
+ * Failures end in error / retrying / corrupt / insufficient-space and go back
+ * to queued through a retry. Anything still in line can be cancelled.
+ *
+ * Install pipeline on a finished download:
+ *   complete → verifying → installing → cleaning-up → installed
+ * A failed stage ends in install-failed (or corrupt) with the archive kept.
+ */
+const TRANSITIONS = {
+  'queued': ['downloading', 'paused', 'cancelled'],
+  'downloading': ['complete', 'paused', 'cancelled', 'error', 'retrying', 'corrupt', 'insufficient-space', 'queued'],
+  'paused': ['queued', 'downloading', 'cancelled', 'complete'], // complete: the last bytes beat the pause
+  'retrying': ['downloading', 'queued', 'paused', 'cancelled'],
+  'error': ['queued', 'cancelled'],
+  'corrupt': ['queued', 'cancelled', 'complete', 'missing'], // complete: a later verify found the file intact
+  'insufficient-space': ['queued', 'cancelled'],
+  'cancelled': ['queued'],
+  'complete': ['corrupt', 'missing', 'queued', 'verifying'],
+  'missing': ['queued', 'corrupt'],
+  'verifying': ['installing', 'corrupt', 'install-failed'],
+  'installing': ['cleaning-up', 'install-failed'],
+  'cleaning-up': ['installed'],
+  'installed': [],
+  'install-failed': ['verifying', 'queued', 'missing']
+};
+
+const DOWNLOAD_STATES = Object.keys(TRANSITIONS);
+
+/**
+ * Whether a download may go from one state to another
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw when a transition isn't allowed
+ */
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    const error = new Error(from === to
+      ? `Download is already ${to}`
+      : `Cannot change download from ${from} to ${to}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+}
+
+module.exports = {
+  DOWNLOAD_STATES,
+  canTransition,
+  assertTransition
+};
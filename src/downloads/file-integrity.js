@@ -0,0 +1,91 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * File integrity helpers for OTH Launcher downloads
+ * Expected values come from the download info: `sha256` (hex) and `expectedSize` (bytes)
+ */
+
+/**
+ * Feed a file (or its first `length` bytes) into a new SHA-256 hash object
+ */
+function createHashFromFile(filePath, length = null) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const options = length !== null ? { end: length - 1 } : {};
+
+    if (length === 0) {
+      resolve(hash);
+      return;
+    }
+
+    fs.createReadStream(filePath, options)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash))
+      .on('error', reject);
+  });
+}
+
+/**
+ * SHA-256 hex digest of a file
+ */
+async function hashFile(filePath) {
+  const hash = await createHashFromFile(filePath);
+  return hash.digest('hex');
+}
+
+/**
+ * Expected hash/size declared by a download info object
+ */
+function getExpectedIntegrity(info) {
+  const sha256 = info.sha256 || info.checksum?.sha256 || null;
+  const size = parseInt(info.expectedSize ?? info.checksum?.size, 10);
+
+  return {
+    sha256: sha256 ? String(sha256).toLowerCase() : null,
+    size: size > 0 ? size : null
+  };
+}
+
+/**
+ * Compare actual values against the expected ones
+ * Returns { valid, problems } where problems is a list of readable messages
+ */
+function compareIntegrity(expected, actual) {
+  const problems = [];
+
+  if (expected.size !== null && actual.size !== expected.size) {
+    problems.push(`Size mismatch: expected ${expected.size} bytes, got ${actual.size}`);
+  }
+
+  if (expected.sha256 && actual.sha256 && actual.sha256.toLowerCase() !== expected.sha256) {
+    problems.push('SHA-256 mismatch');
+  }
+
+  return { valid: problems.length === 0, problems };
+}
+
+/**
+ * Hash a file on disk and check it against the expected values
+ */
+async function verifyFile(filePath, expected) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    return { valid: false, problems: ['File not found'], sha256: null, size: 0 };
+  }
+
+  const sha256 = await hashFile(filePath);
+  const result = compareIntegrity(expected, { sha256, size: stats.size });
+
+  return { ...result, sha256, size: stats.size };
+}
+
+module.exports = {
+  createHashFromFile,
+  hashFile,
+  getExpectedIntegrity,
+  compareIntegrity,
+  verifyFile
+};
@@ -0,0 +1,96 @@
+const { net } = require('electron');
+const { EventEmitter } = require('events');
+
+/**
+ * http.get-style request made through an Electron session
+ * Lets DownloadQueueManager send the logged-in user's store cookies while
+ * keeping its streaming code unchanged. Chromium follows redirects itself.
+ */
+class SessionRequest extends EventEmitter {
+  constructor(session, url, options, callback) {
+    super();
+    this.destroyed = false;
+    this.idleTimer = null;
+    this.idleTimeout = 0;
+    this.onIdle = null;
+
+    this.request = net.request({ url, session, useSessionCookies: true });
+
+    for (const [name, value] of Object.entries(options.headers || {})) {
+      this.request.setHeader(name, value);
+    }
+
+    this.request.on('response', (response) => {
+      this.touch();
+      response.on('data', () => this.touch());
+      response.on('end', () => this.clearIdleTimer());
+      response.on('error', (error) => this.destroy(error));
+      callback(response);
+    });
+
+    this.request.on('error', (error) => this.destroy(error));
+    this.request.end();
+  }
+
+  /**
+   * Emit `onIdle` when nothing arrives for `ms` (mirrors ClientRequest.setTimeout)
+   */
+  setTimeout(ms, onIdle) {
+    this.idleTimeout = ms;
+    this.onIdle = onIdle;
+    this.touch();
+    return this;
+  }
+
+  /**
+   * Restart the idle timer
+   */
+  touch() {
+    this.clearIdleTimer();
+    if (this.idleTimeout > 0 && this.onIdle && !this.destroyed) {
+      this.idleTimer = setTimeout(this.onIdle, this.idleTimeout);
+    }
+  }
+
+  /**
+   * Stop the idle timer
+   */
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * Abort the request, optionally reporting an error to listeners
+   */
+  destroy(error) {
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.destroyed = true;
+    this.clearIdleTimer();
+
+    try {
+      this.request.abort();
+    } catch (err) {
+      // Already finished
+    }
+
+    if (error) {
+      process.nextTick(() => this.emit('error', error));
+    }
+    return this;
+  }
+}
+
+/**
+ * Start a GET request through the given session
+ */
+function sessionGet(session, url, options, callback) {
+  return new SessionRequest(session, url, options, callback);
+}
+
+module.exports = { sessionGet };
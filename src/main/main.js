@@ -6,9 +6,18 @@ const ModuleDockManager = require('../modules/module-dock-manager');
 const ModuleWindowManager = require('../modules/module-window-manager');
 const UpdateManager = require('../updates/update-manager');
 const DownloadQueueManager = require('../downloads/download-queue-manager');
+const AppProcessTracker = require('../apps/app-process-tracker');
+const AppInstaller = require('../apps/app-installer');
+const shortcuts = require('../apps/shortcuts');
+const LibraryScanner = require('../apps/library-scanner');
+const LibraryOrganizer = require('../apps/library-organizer');
+const UninstallManager = require('../apps/uninstall-manager');
+const { moveInstall, rebasePath } = require('../apps/app-mover');
+const { focusProcessWindow } = require('../apps/window-focus');
+const launchProfiles = require('../apps/launch-profiles');
+const { resolveLaunchTarget } = require('../apps/launch-resolver');
+const { getFreeSpace } = require('../downloads/disk-space');
 const fs = require('fs').promises;
-const https = require('https');
-const http = require('http');
 const { spawn } = require('child_process');
 const mime = require('mime-types');
 
@@ -38,6 +47,9 @@ const store = new Store({
   encryptionKey: 'oth-secure-storage-key-v1'
 });
 
+// Collections, tags and favorites only need the store, so they're ready before any window asks
+const libraryOrganizer = new LibraryOrganizer(store);
+
 let mainWindow;
 let aiChatWindow = null;
 let registerWindow = null;
@@ -48,6 +60,10 @@ let dockManager = null;
 let dockButtonWindow = null; // Floating dock button window
 let updateManager = null; // Update manager for auto-updates
 let downloadQueueManager = null; // Download queue manager
+let appProcessTracker = null; // Processes started by launch-app
+let appInstaller = null; // Installs app packages into the library folder
+let libraryScanner = null; // Finds installations missing from the library
+let uninstallManager = null; // Uninstall previews and the quarantine folder
 
 const DISCORD_CLIENT_ID = '1348861044604534835';
 
@@ -243,10 +259,11 @@ ipcMain.on('install-update', () => {
 
 // ===== LIBRARY MANAGEMENT HANDLERS =====
 
-// Get all installed apps
-ipcMain.handle('get-installed-apps', async () => {
+// Get installed apps
+// options: { collection, tag, favorite, includeHidden, search, sortBy, order } (see LibraryOrganizer.query)
+ipcMain.handle('get-installed-apps', async (event, options = {}) => {
   try {
-    const installedApps = store.get('installed-apps', []);
+    const installedApps = libraryOrganizer.query(options);
     return { success: true, apps: installedApps };
   } catch (error) {
     console.error('Failed to get installed apps:', error);
@@ -266,8 +283,117 @@ ipcMain.handle('is-app-installed', async (event, marketplaceItemId) => {
   }
 });
 
+// Get library collections
+ipcMain.handle('get-collections', async () => {
+  try {
+    return { success: true, collections: libraryOrganizer.getCollections() };
+  } catch (error) {
+    console.error('Failed to get collections:', error);
+    return { success: false, error: error.message, collections: [] };
+  }
+});
+
+// Create a collection ({ name, color })
+ipcMain.handle('create-collection', async (event, collectionInfo) => {
+  try {
+    const collection = libraryOrganizer.createCollection(collectionInfo);
+    return { success: true, collection };
+  } catch (error) {
+    console.error('Failed to create collection:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Rename/recolor a collection
+ipcMain.handle('update-collection', async (event, collectionId, changes) => {
+  try {
+    const collection = libraryOrganizer.updateCollection(collectionId, changes);
+    return { success: true, collection };
+  } catch (error) {
+    console.error('Failed to update collection:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete a collection
+ipcMain.handle('delete-collection', async (event, collectionId) => {
+  try {
+    libraryOrganizer.deleteCollection(collectionId);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to delete collection:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Add an app to a collection
+ipcMain.handle('add-to-collection', async (event, marketplaceItemId, collectionId) => {
+  try {
+    const installedApp = libraryOrganizer.addToCollection(marketplaceItemId, collectionId);
+    return { success: true, app: installedApp };
+  } catch (error) {
+    console.error('Failed to add app to collection:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Remove an app from a collection
+ipcMain.handle('remove-from-collection', async (event, marketplaceItemId, collectionId) => {
+  try {
+    const installedApp = libraryOrganizer.removeFromCollection(marketplaceItemId, collectionId);
+    return { success: true, app: installedApp };
+  } catch (error) {
+    console.error('Failed to remove app from collection:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace an app's tags
+ipcMain.handle('set-app-tags', async (event, marketplaceItemId, tags) => {
+  try {
+    const installedApp = libraryOrganizer.setTags(marketplaceItemId, tags);
+    return { success: true, app: installedApp };
+  } catch (error) {
+    console.error('Failed to set app tags:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// All tags in use, with app counts
+ipcMain.handle('get-library-tags', async () => {
+  try {
+    return { success: true, tags: libraryOrganizer.getTags() };
+  } catch (error) {
+    console.error('Failed to get library tags:', error);
+    return { success: false, error: error.message, tags: [] };
+  }
+});
+
+// Mark/unmark an app as favorite
+ipcMain.handle('set-app-favorite', async (event, marketplaceItemId, favorite) => {
+  try {
+    const installedApp = libraryOrganizer.setFavorite(marketplaceItemId, favorite);
+    return { success: true, app: installedApp };
+  } catch (error) {
+    console.error('Failed to set app favorite:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Hide/show an app in the library
+ipcMain.handle('set-app-hidden', async (event, marketplaceItemId, hidden) => {
+  try {
+    const installedApp = libraryOrganizer.setHidden(marketplaceItemId, hidden);
+    return { success: true, app: installedApp };
+  } catch (error) {
+    console.error('Failed to set app hidden:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Launch an installed app
-ipcMain.handle('launch-app', async (event, marketplaceItemId) => {
+// options: { profileId, allowMultiple } - allowMultiple starts another instance when one is already running
+ipcMain.handle('launch-app', async (event, marketplaceItemId, options = {}) => {
   try {
     const installedApps = store.get('installed-apps', []);
     const app = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
@@ -276,16 +402,33 @@ ipcMain.handle('launch-app', async (event, marketplaceItemId) => {
       throw new Error('App not found');
     }
     
+    // Already running - let the renderer offer to focus it instead
+    const running = appProcessTracker ? appProcessTracker.getRunningFor(marketplaceItemId) : [];
+    if (running.length > 0 && !options.allowMultiple) {
+      return {
+        success: false,
+        alreadyRunning: true,
+        running,
+        error: `${app.title} is already running`
+      };
+    }
+    
     console.log('🚀 Launching app:', app.title);
     console.log('📂 Executable path:', app.executablePath);
     
-    // Check if it's a demo file (not .exe)
-    const fileExtension = path.extname(app.executablePath).toLowerCase();
+    const profile = launchProfiles.resolveLaunchProfile(app, options.profileId);
+    const { args, cwd, env } = launchProfiles.buildSpawnOptions(app, profile);
+    
+    // Work out how this platform runs the file (binary, AppImage, .desktop, .app bundle...)
+    const target = await resolveLaunchTarget(app.executablePath, args);
     
-    if (fileExtension !== '.exe') {
-      // It's a demo file - open with default application
+    if (target.type === 'open') {
+      // Not a program (e.g. a demo file) - open with default application
       console.log('ℹ️ Demo file detected, opening with default application');
-      await shell.openPath(app.executablePath);
+      const openError = await shell.openPath(app.executablePath);
+      if (openError) {
+        throw new Error(openError);
+      }
       return { 
         success: true, 
         message: 'Demo file opened',
@@ -293,24 +436,203 @@ ipcMain.handle('launch-app', async (event, marketplaceItemId) => {
       };
     }
     
-    // It's a real executable - launch it
-    console.log('▶️ Spawning executable process');
-    const appProcess = spawn(app.executablePath, [], {
+    // A .desktop Path= applies unless the profile chose a working directory
+    const workingDirectory = profile.cwd ? cwd : target.cwd || cwd;
+    
+    if (profile.preLaunchScript) {
+      console.log('📜 Running pre-launch script for profile:', profile.name);
+      await launchProfiles.runPreLaunchScript(profile, { cwd: workingDirectory, env });
+    }
+    
+    console.log('▶️ Spawning executable process', `(profile: ${profile.name})`);
+    const appProcess = spawn(target.command, target.args, {
+      cwd: workingDirectory,
+      env,
       detached: true,
       stdio: 'ignore'
     });
     
+    // unref lets the launcher quit first; 'exit' still reaches us while it runs
     appProcess.unref();
     
+    // A missing or non-executable file only shows up as an 'error' event (with no pid)
+    await new Promise((resolve, reject) => {
+      const onSpawn = () => {
+        appProcess.removeListener('error', onError);
+        resolve();
+      };
+      const onError = (error) => {
+        appProcess.removeListener('spawn', onSpawn);
+        reject(Object.assign(new Error(`Failed to start ${app.title}: ${error.message}`), { code: error.code }));
+      };
+      appProcess.once('spawn', onSpawn);
+      appProcess.once('error', onError);
+    });
+    
+    const processInfo = appProcessTracker?.track(appProcess, {
+      marketplaceItemId,
+      title: app.title,
+      executablePath: app.executablePath
+    });
+    
     console.log('✅ App launched successfully');
-    return { success: true, message: 'App launched successfully' };
+    return {
+      success: true,
+      message: 'App launched successfully',
+      pid: processInfo?.pid || appProcess.pid,
+      profileId: profile.id
+    };
   } catch (error) {
     console.error('❌ Failed to launch app:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+// Get an app's launch profiles
+ipcMain.handle('get-launch-profiles', async (event, marketplaceItemId) => {
+  try {
+    const installedApps = store.get('installed-apps', []);
+    const installedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+
+    if (!installedApp) {
+      throw new Error('App not found');
+    }
+
+    return { success: true, ...launchProfiles.getLaunchProfiles(installedApp) };
+  } catch (error) {
+    console.error('Failed to get launch profiles:', error);
+    return { success: false, error: error.message, profiles: [] };
+  }
+});
+
+// Save an app's launch profiles ({ profiles, defaultProfileId })
+ipcMain.handle('save-launch-profiles', async (event, marketplaceItemId, { profiles, defaultProfileId } = {}) => {
+  try {
+    const installedApps = store.get('installed-apps', []);
+    const installedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+
+    if (!installedApp) {
+      throw new Error('App not found');
+    }
+
+    const saved = launchProfiles.normalizeLaunchProfiles(profiles, defaultProfileId);
+    installedApp.launchProfiles = saved.profiles;
+    installedApp.defaultLaunchProfile = saved.defaultProfileId;
+    store.set('installed-apps', installedApps);
+
+    console.log('💾 Launch profiles saved for:', installedApp.title);
+    return { success: true, ...launchProfiles.getLaunchProfiles(installedApp) };
+  } catch (error) {
+    console.error('Failed to save launch profiles:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Processes started by launch-app that are still running
+ipcMain.handle('get-running-apps', async () => {
+  try {
+    if (!appProcessTracker) {
+      throw new Error('App process tracker not initialized');
+    }
+
+    return { success: true, running: appProcessTracker.getRunning() };
+  } catch (error) {
+    console.error('Failed to get running apps:', error);
+    return { success: false, error: error.message, running: [] };
+  }
+});
+
+// Bring a running app's window to the front
+ipcMain.handle('focus-app', async (event, marketplaceItemId) => {
+  try {
+    if (!appProcessTracker) {
+      throw new Error('App process tracker not initialized');
+    }
+
+    const running = appProcessTracker.getRunningFor(marketplaceItemId);
+    if (running.length === 0) {
+      throw new Error('App is not running');
+    }
+
+    // Most recently started instance first
+    for (const record of running.reverse()) {
+      if (await focusProcessWindow(record.pid)) {
+        return { success: true, pid: record.pid };
+      }
+    }
+
+    throw new Error('Could not bring the app window to the front');
+  } catch (error) {
+    console.error('Failed to focus app:', error);
     return { success: false, error: error.message };
   }
 });
 
+/**
+ * Add a launched app's session to its usage stats in installed-apps
+ * Sessions still running (launcher quitting) count up to now without an exit.
+ */
+function recordAppUsage(record, event) {
+  if (!record.marketplaceItemId) {
+    return;
+  }
+
+  const installedApps = store.get('installed-apps', []);
+  const installedApp = installedApps.find(app => app.marketplaceItemId === record.marketplaceItemId);
+  if (!installedApp) {
+    return;
+  }
+
+  const usage = {
+    launchCount: 0,
+    totalSeconds: 0,
+    lastStartedAt: null,
+    lastExitedAt: null,
+    lastExitCode: null,
+    lastSessionSeconds: 0,
+    lastUsedAt: null,
+    ...installedApp.usage
+  };
+
+  if (event === 'started') {
+    usage.launchCount++;
+    usage.lastStartedAt = record.startedAt;
+    usage.lastUsedAt = record.startedAt;
+  } else {
+    const endedAt = record.exitedAt || new Date().toISOString();
+    const seconds = Math.max(0, Math.round((Date.parse(endedAt) - Date.parse(record.startedAt)) / 1000));
+    usage.totalSeconds += seconds;
+    usage.lastSessionSeconds = seconds;
+    usage.lastUsedAt = endedAt;
+    if (record.exitedAt) {
+      usage.lastExitedAt = record.exitedAt;
+      usage.lastExitCode = record.exitCode;
+    }
+  }
+
+  installedApp.usage = usage;
+  store.set('installed-apps', installedApps);
+}
+
+/**
+ * Pause (or throttle) the download queue while launched apps run, per downloads.pauseOnLaunch
+ */
+function applyPauseOnLaunch() {
+  if (!downloadQueueManager || !appProcessTracker) {
+    return;
+  }
+
+  const settings = store.get('launcher-settings', {});
+  if (settings.downloads?.pauseOnLaunch && appProcessTracker.getRunningCount() > 0) {
+    downloadQueueManager.suspend({ bandwidthLimit: settings.downloads.launchBandwidthLimit });
+  } else {
+    downloadQueueManager.unsuspend();
+  }
+}
+
 // Save downloaded file (called from renderer after authenticated download)
+// FALLBACK ONLY - the download queue now uses the store session and streams to disk;
+// this path holds the whole file in memory as base64
 ipcMain.handle('save-downloaded-file', async (event, fileData) => {
   try {
     console.log('💾 Save file request received:', fileData.fileName)
@@ -368,8 +690,15 @@ ipcMain.handle('save-downloaded-file', async (event, fileData) => {
 })
 
 // Download an app (LEGACY - kept for backwards compatibility)
+// Runs through the download queue; postAction 'register-app' adds the file to the library as is,
+// 'install-app' extracts a zip/tar.gz package into the library folder. Without one,
+// downloads.autoInstall decides (see DownloadQueueManager.getPostAction).
 ipcMain.handle('download-app', async (event, downloadInfo) => {
   try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
     console.log('Download request received:', downloadInfo);
     
     const { url, downloadUrl, marketplaceItemId, title, fileName } = downloadInfo;
@@ -380,219 +709,83 @@ ipcMain.handle('download-app', async (event, downloadInfo) => {
       return { success: false, error: 'Download URL is required' };
     }
     
-    console.log('Download URL:', actualUrl);
-    
     // Generate filename if not provided
     const actualFileName = fileName || `${(title || 'download').replace(/[^a-z0-9]/gi, '_')}-${marketplaceItemId || Date.now()}.exe`;
-    console.log('Download filename:', actualFileName);
-    
-    const settings = store.get('launcher-settings', {});
-    let downloadPath;
-    
-    // Get download path with multiple fallbacks
-    try {
-      if (settings.downloads?.location) {
-        downloadPath = settings.downloads.location;
-      } else {
-        // Try to get downloads folder, fall back to documents/OTH Downloads
-        try {
-          const downloadsDir = app.getPath('downloads');
-          if (downloadsDir) {
-            downloadPath = downloadsDir;
-          }
-        } catch (e) {
-          // downloads path not available, use documents
-          const documentsDir = app.getPath('documents');
-          downloadPath = path.join(documentsDir, 'OTH Downloads');
-        }
-      }
-    } catch (pathError) {
-      console.error('Failed to get download path:', pathError);
-      // Final fallback to documents/OTH Downloads
-      const documentsDir = app.getPath('documents');
-      downloadPath = path.join(documentsDir, 'OTH Downloads');
-    }
-    
-    if (!downloadPath) {
-      console.error('Download path is still undefined after all fallbacks');
-      // Last resort - use temp directory
-      downloadPath = app.getPath('temp');
-    }
     
-    console.log('Download path:', downloadPath);
+    const queued = downloadQueueManager.addToQueue({
+      ...downloadInfo,
+      id: marketplaceItemId,
+      name: title,
+      displayName: title,
+      downloadUrl: actualUrl,
+      fileName: actualFileName,
+      kind: 'app', // Picks the app install action when autoInstall is on
+      postAction: ['register-app', 'install-app', 'save'].includes(downloadInfo.postAction) ? downloadInfo.postAction : null
+    }, { startImmediately: true });
     
-    const filePath = path.join(downloadPath, actualFileName);
-    console.log('Full file path:', filePath);
+    const { download, result } = await downloadQueueManager.waitForDownload(queued.id);
     
-    // Create download directory if it doesn't exist
-    try {
-      await fs.mkdir(downloadPath, { recursive: true });
-    } catch (mkdirError) {
-      console.error('Failed to create download directory:', mkdirError);
-      return { success: false, error: `Could not create download directory: ${mkdirError.message}` };
-    }
-    
-    // For API routes, we need to make a proper HTTP request
-    // If URL starts with /, it's a local API route
-    if (actualUrl.startsWith('/')) {
-      const baseUrl = process.env.OTH_STORE_URL || 'http://localhost:3000';
-      const fullUrl = `${baseUrl}${actualUrl}`;
-      console.log('Downloading from local API:', fullUrl);
-      
-      return new Promise((resolve, reject) => {
-        http.get(fullUrl, (response) => {
-          console.log('Response status:', response.statusCode);
-          console.log('Response headers:', response.headers);
-          
-          if (response.statusCode === 302 || response.statusCode === 301) {
-            // Handle redirect
-            const redirectUrl = response.headers.location;
-            if (redirectUrl) {
-              console.log('Following redirect to:', redirectUrl);
-              const redirectProtocol = redirectUrl.startsWith('https') ? https : http;
-              redirectProtocol.get(redirectUrl, (redirectResponse) => {
-                const writeStream = require('fs').createWriteStream(filePath);
-                redirectResponse.pipe(writeStream);
-                
-                writeStream.on('finish', () => {
-                  writeStream.close();
-                  console.log('Download completed:', filePath);
-                  resolve({ success: true, filePath, downloadPath: filePath, message: 'Download completed' });
-                });
-                
-                writeStream.on('error', (error) => {
-                  console.error('Write stream error:', error);
-                  require('fs').unlink(filePath, () => {}); // Delete partial file
-                  reject({ success: false, error: error.message });
-                });
-              }).on('error', (error) => {
-                console.error('Redirect request error:', error);
-                reject({ success: false, error: error.message });
-              });
-            } else {
-              console.error('Redirect location header missing');
-              reject({ success: false, error: 'Redirect location not found' });
-            }
-          } else if (response.statusCode === 200) {
-            const writeStream = require('fs').createWriteStream(filePath);
-            response.pipe(writeStream);
-            
-            writeStream.on('finish', () => {
-              writeStream.close();
-              console.log('Download completed:', filePath);
-              resolve({ success: true, filePath, downloadPath: filePath, message: 'Download completed' });
-            });
-            
-            writeStream.on('error', (error) => {
-              console.error('Write stream error:', error);
-              require('fs').unlink(filePath, () => {}); // Delete partial file
-              reject({ success: false, error: error.message });
-            });
-          } else {
-            console.error('Unexpected status code:', response.statusCode);
-            reject({ success: false, error: `Download failed with status ${response.statusCode}` });
-          }
-        }).on('error', (error) => {
-          console.error('HTTP request error:', error);
-          reject({ success: false, error: error.message });
-        });
-      });
-    } else {
-      // External URL
-      console.log('Downloading from external URL:', actualUrl);
-      const protocol = actualUrl.startsWith('https') ? https : http;
-      
-      return new Promise((resolve, reject) => {
-        protocol.get(actualUrl, (response) => {
-          console.log('Response status:', response.statusCode);
-          
-          if (response.statusCode === 302 || response.statusCode === 301) {
-            // Handle redirect
-            const redirectUrl = response.headers.location;
-            if (redirectUrl) {
-              console.log('Following redirect to:', redirectUrl);
-              const redirectProtocol = redirectUrl.startsWith('https') ? https : http;
-              redirectProtocol.get(redirectUrl, (redirectResponse) => {
-                const writeStream = require('fs').createWriteStream(filePath);
-                redirectResponse.pipe(writeStream);
-                
-                writeStream.on('finish', () => {
-                  writeStream.close();
-                  console.log('Download completed:', filePath);
-                  resolve({ success: true, filePath, downloadPath: filePath, message: 'Download completed' });
-                });
-                
-                writeStream.on('error', (error) => {
-                  console.error('Write stream error:', error);
-                  require('fs').unlink(filePath, () => {}); // Delete partial file
-                  reject({ success: false, error: error.message });
-                });
-              }).on('error', (error) => {
-                console.error('Redirect request error:', error);
-                reject({ success: false, error: error.message });
-              });
-            } else {
-              console.error('Redirect location header missing');
-              reject({ success: false, error: 'Redirect location not found' });
-            }
-          } else if (response.statusCode === 200) {
-            const writeStream = require('fs').createWriteStream(filePath);
-            response.pipe(writeStream);
-            
-            writeStream.on('finish', () => {
-              writeStream.close();
-              console.log('Download completed:', filePath);
-              resolve({ success: true, filePath, downloadPath: filePath, message: 'Download completed' });
-            });
-            
-            writeStream.on('error', (error) => {
-              console.error('Write stream error:', error);
-              require('fs').unlink(filePath, () => {}); // Delete partial file
-              reject({ success: false, error: error.message });
-            });
-          } else {
-            console.error('Unexpected status code:', response.statusCode);
-            reject({ success: false, error: `Download failed with status ${response.statusCode}` });
-          }
-        }).on('error', (error) => {
-          console.error('HTTP request error:', error);
-          reject({ success: false, error: error.message });
-        });
-      });
-    }
+    console.log('Download completed:', download.filePath);
+    return {
+      ...result,
+      success: true,
+      filePath: download.filePath,
+      downloadPath: download.filePath,
+      downloadId: download.id,
+      message: 'Download completed'
+    };
   } catch (error) {
     console.error('Download handler error:', error);
     return { success: false, error: error.message || 'Failed to download application' };
   }
 });
 
+// Add or update an app in the installed-apps list
+function registerInstalledApp(installInfo) {
+  const installedApps = store.get('installed-apps', []);
+  
+  // Check if already installed
+  const existingIndex = installedApps.findIndex(
+    app => app.marketplaceItemId === installInfo.marketplaceItemId
+  );
+  
+  if (existingIndex >= 0) {
+    // Update existing installation
+    installedApps[existingIndex] = {
+      ...installedApps[existingIndex],
+      ...installInfo,
+      updatedAt: new Date().toISOString()
+    };
+  } else {
+    // Add new installation
+    installedApps.push({
+      ...installInfo,
+      installedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+  
+  store.set('installed-apps', installedApps);
+  return installedApps.find(app => app.marketplaceItemId === installInfo.marketplaceItemId);
+}
+
+// Fields the renderer may set through register-installation - manifests, shortcuts,
+// usage and library flags are only written by the launcher itself.
+// downloadUrl is where repair-app fetches apps whose manifest has no source.
+const REGISTRATION_FIELDS = [
+  'marketplaceItemId', 'title', 'version', 'executablePath', 'installPath', 'size', 'icon', 'iconPath', 'downloadUrl'
+];
+
 // Register app installation
-ipcMain.handle('register-installation', async (event, installInfo) => {
+ipcMain.handle('register-installation', async (event, installInfo = {}) => {
   try {
-    const installedApps = store.get('installed-apps', []);
-    
-    // Check if already installed
-    const existingIndex = installedApps.findIndex(
-      app => app.marketplaceItemId === installInfo.marketplaceItemId
-    );
-    
-    if (existingIndex >= 0) {
-      // Update existing installation
-      installedApps[existingIndex] = {
-        ...installedApps[existingIndex],
-        ...installInfo,
-        updatedAt: new Date().toISOString()
-      };
-    } else {
-      // Add new installation
-      installedApps.push({
-        ...installInfo,
-        installedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
+    if (!installInfo.marketplaceItemId) {
+      throw new Error('marketplaceItemId is required');
     }
     
-    store.set('installed-apps', installedApps);
+    registerInstalledApp(Object.fromEntries(
+      REGISTRATION_FIELDS.filter(field => installInfo[field] !== undefined).map(field => [field, installInfo[field]])
+    ));
     return { success: true, message: 'Installation registered successfully' };
   } catch (error) {
     console.error('Failed to register installation:', error);
@@ -600,144 +793,458 @@ ipcMain.handle('register-installation', async (event, installInfo) => {
   }
 });
 
-// Uninstall an app
-ipcMain.handle('uninstall-app', async (event, marketplaceItemId) => {
+// Install an app package (zip/tar.gz) from disk into the library
+// appInfo: { marketplaceItemId, title, version, executable } - executable is relative to the package root
+ipcMain.handle('install-app-archive', async (event, filePath, appInfo = {}) => {
   try {
-    const installedApps = store.get('installed-apps', []);
-    const app = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
-    
-    if (!app) {
-      throw new Error('App not found in installed apps list');
+    if (!appInstaller) {
+      throw new Error('App installer not initialized');
     }
-    
-    console.log('🗑️ Starting uninstallation of:', app.title);
-    
-    // Track what we've deleted for the response
-    const deletedItems = [];
-    const errors = [];
-    
-    // 1. Delete the executable file if it exists
-    if (app.executablePath) {
-      try {
-        console.log('📂 Deleting executable:', app.executablePath);
-        const fileExists = await fs.access(app.executablePath).then(() => true).catch(() => false);
-        if (fileExists) {
-          await fs.unlink(app.executablePath);
-          deletedItems.push(`Executable: ${path.basename(app.executablePath)}`);
-          console.log('✅ Executable deleted');
+
+    const result = await appInstaller.installFromArchive(filePath, appInfo, {
+      onProgress: (progress, stage) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('app-install-progress', { marketplaceItemId: appInfo.marketplaceItemId, progress, stage });
         }
-      } catch (err) {
-        console.error('❌ Failed to delete executable:', err);
-        errors.push(`Executable: ${err.message}`);
       }
+    });
+    const installedApp = registerInstalledApp({
+      marketplaceItemId: appInfo.marketplaceItemId,
+      title: appInfo.title,
+      version: appInfo.version,
+      installPath: result.installPath,
+      executablePath: result.executablePath,
+      manifestPath: result.manifestPath,
+      size: result.size
+    });
+
+    return { success: true, app: installedApp };
+  } catch (error) {
+    console.error('Failed to install app package:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+/**
+ * Record the outcome of a verify on the installed app
+ */
+function saveAppIntegrity(marketplaceItemId, verification) {
+  const installedApps = store.get('installed-apps', []);
+  const installedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+  if (!installedApp) {
+    return;
+  }
+
+  installedApp.integrity = {
+    status: verification.ok ? 'ok' : 'damaged',
+    missing: verification.missing.length,
+    modified: verification.modified.length,
+    verifiedAt: verification.verifiedAt
+  };
+  store.set('installed-apps', installedApps);
+}
+
+/**
+ * Look up an installed app and its install manifest
+ */
+async function getAppWithManifest(marketplaceItemId) {
+  if (!appInstaller) {
+    throw new Error('App installer not initialized');
+  }
+
+  const installedApp = store.get('installed-apps', []).find(app => app.marketplaceItemId === marketplaceItemId);
+  if (!installedApp) {
+    throw new Error('App not found');
+  }
+
+  const manifest = await appInstaller.readManifest(installedApp);
+  if (!manifest) {
+    throw new Error(`${installedApp.title} has no install manifest - reinstall it to enable verification`);
+  }
+
+  return { installedApp, manifest };
+}
+
+/**
+ * Repair an app from a copy of its package, then verify it again
+ */
+async function repairAppFromArchive(marketplaceItemId, archivePath, filePaths) {
+  const { installedApp, manifest } = await getAppWithManifest(marketplaceItemId);
+  const result = await appInstaller.repairFromArchive(installedApp, manifest, archivePath, filePaths);
+  const verification = await appInstaller.verify(installedApp, manifest);
+  saveAppIntegrity(marketplaceItemId, verification);
+
+  if (result.failed.length > 0) {
+    throw new Error(`Could not repair ${result.failed.map(f => `${f.path} (${f.error})`).join(', ')}`);
+  }
+
+  return { ...result, verification };
+}
+
+// Check an installed app's files against its install manifest
+ipcMain.handle('verify-app', async (event, marketplaceItemId) => {
+  try {
+    const { installedApp, manifest } = await getAppWithManifest(marketplaceItemId);
+
+    console.log('🔍 Verifying app files:', installedApp.title);
+    const verification = await appInstaller.verify(installedApp, manifest);
+    saveAppIntegrity(marketplaceItemId, verification);
+
+    return { success: true, ...verification };
+  } catch (error) {
+    console.error('Failed to verify app:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Repair an installed app's missing/modified files
+// Downloads the package again through the queue unless options.archivePath points at a local copy
+ipcMain.handle('repair-app', async (event, marketplaceItemId, options = {}) => {
+  try {
+    const { installedApp, manifest } = await getAppWithManifest(marketplaceItemId);
+    const verification = await appInstaller.verify(installedApp, manifest);
+    saveAppIntegrity(marketplaceItemId, verification);
+
+    const broken = [...verification.missing, ...verification.modified];
+    if (broken.length === 0) {
+      return { success: true, repaired: [], verification, message: 'All files are intact' };
     }
-    
-    // 2. Delete the installation directory if it exists
-    if (app.installPath) {
+
+    if (options.archivePath) {
+      const result = await repairAppFromArchive(marketplaceItemId, options.archivePath, broken);
+      return { success: true, ...result };
+    }
+
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const downloadUrl = manifest.source?.downloadUrl || installedApp.downloadUrl;
+    if (!downloadUrl) {
+      throw new Error(`No download source recorded for ${installedApp.title}`);
+    }
+
+    console.log(`🔧 Queueing repair of ${broken.length} file(s):`, installedApp.title);
+    const download = downloadQueueManager.addToQueue({
+      marketplaceItemId,
+      name: installedApp.title,
+      displayName: `${installedApp.title} (repair)`,
+      version: installedApp.version,
+      downloadUrl,
+      sha256: manifest.source?.sha256 || undefined,
+      fileName: `${appInstaller.slugify(installedApp.title)}-repair-${Date.now()}.${manifest.archiveType === 'zip' ? 'zip' : 'tar.gz'}`,
+      repairFiles: broken,
+      postAction: 'repair-app'
+    }, { startImmediately: true });
+
+    return { success: true, queued: true, downloadId: download.id, verification };
+  } catch (error) {
+    console.error('Failed to repair app:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Look for installed apps that aren't in the library
+// options: { folders, knownApps: [{ marketplaceItemId, title }], includeUnmatched }
+ipcMain.handle('scan-library', async (event, options = {}) => {
+  try {
+    if (!libraryScanner) {
+      throw new Error('Library scanner not initialized');
+    }
+
+    const candidates = await libraryScanner.scan(options);
+    console.log(`🔍 Library scan found ${candidates.length} installation(s)`);
+    return { success: true, candidates };
+  } catch (error) {
+    console.error('Failed to scan library:', error);
+    return { success: false, error: error.message, candidates: [] };
+  }
+});
+
+// Register installations the user picked from scan-library
+ipcMain.handle('import-installations', async (event, candidates = []) => {
+  try {
+    const imported = [];
+    const errors = [];
+
+    for (const candidate of candidates) {
       try {
-        console.log('📁 Deleting installation directory:', app.installPath);
-        const dirExists = await fs.access(app.installPath).then(() => true).catch(() => false);
-        if (dirExists) {
-          // Get directory size before deletion for reporting
-          let dirSize = 0;
-          try {
-            const files = await fs.readdir(app.installPath, { recursive: true });
-            for (const file of files) {
-              try {
-                const filePath = path.join(app.installPath, file);
-                const stats = await fs.stat(filePath);
-                if (stats.isFile()) {
-                  dirSize += stats.size;
-                }
-              } catch (e) {
-                // Skip files we can't stat
-              }
-            }
-          } catch (e) {
-            console.log('Could not calculate directory size');
+        if (!candidate.marketplaceItemId) {
+          throw new Error('Marketplace item not chosen');
+        }
+        await fs.access(candidate.executablePath);
+
+        // Only manifests in the library's manifest folder - the candidate comes from the renderer
+        const manifestPath = appInstaller?.isLibraryManifest(candidate.manifestPath) ? candidate.manifestPath : undefined;
+        if (candidate.manifestPath && !manifestPath) {
+          console.warn('⚠️ Ignoring manifest outside the library:', candidate.manifestPath);
+        }
+
+        // A library copied from elsewhere - point its manifest at the new folder
+        if (manifestPath) {
+          const manifest = await appInstaller.readManifest({ manifestPath });
+          if (manifest && candidate.installPath && manifest.installPath !== candidate.installPath) {
+            manifest.installPath = candidate.installPath;
+            await appInstaller.writeManifest(manifestPath, manifest);
           }
-          
-          await fs.rm(app.installPath, { recursive: true, force: true });
-          deletedItems.push(`Installation folder (${formatBytes(dirSize)})`);
-          console.log('✅ Installation directory deleted');
         }
-      } catch (err) {
-        console.error('❌ Failed to delete installation directory:', err);
-        errors.push(`Installation directory: ${err.message}`);
+
+        imported.push(registerInstalledApp({
+          marketplaceItemId: candidate.marketplaceItemId,
+          title: candidate.title,
+          version: candidate.version,
+          executablePath: candidate.executablePath,
+          installPath: candidate.installPath || undefined,
+          manifestPath,
+          importedAt: new Date().toISOString()
+        }));
+      } catch (error) {
+        errors.push({ executablePath: candidate.executablePath, error: error.message });
       }
     }
-    
-    // 3. Delete desktop shortcut if it was created
-    try {
-      const desktopPath = app.getPath('desktop');
-      const shortcutName = `${app.title}.lnk`;
-      const shortcutPath = path.join(desktopPath, shortcutName);
-      
-      console.log('🔗 Checking for desktop shortcut:', shortcutPath);
-      const shortcutExists = await fs.access(shortcutPath).then(() => true).catch(() => false);
-      if (shortcutExists) {
-        await fs.unlink(shortcutPath);
-        deletedItems.push('Desktop shortcut');
-        console.log('✅ Desktop shortcut deleted');
+
+    console.log(`📥 Imported ${imported.length} installation(s) into the library`);
+    return { success: true, imported, errors: errors.length > 0 ? errors : undefined };
+  } catch (error) {
+    console.error('Failed to import installations:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List an app's shortcuts (with whether each is still on disk)
+ipcMain.handle('get-app-shortcuts', async (event, marketplaceItemId) => {
+  try {
+    const installedApp = store.get('installed-apps', []).find(app => app.marketplaceItemId === marketplaceItemId);
+    if (!installedApp) {
+      throw new Error('App not found');
+    }
+
+    return { success: true, shortcuts: await shortcuts.listShortcuts(installedApp) };
+  } catch (error) {
+    console.error('Failed to get app shortcuts:', error);
+    return { success: false, error: error.message, shortcuts: [] };
+  }
+});
+
+// Create shortcuts to an app - locations: 'desktop' and/or 'menu' (Start Menu / applications menu)
+ipcMain.handle('create-app-shortcut', async (event, marketplaceItemId, locations = shortcuts.SHORTCUT_LOCATIONS) => {
+  try {
+    const installedApps = store.get('installed-apps', []);
+    const installedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+    if (!installedApp) {
+      throw new Error('App not found');
+    }
+
+    const created = [];
+    for (const location of [].concat(locations)) {
+      const shortcut = await shortcuts.createShortcut(installedApp, location);
+      installedApp.shortcuts = (installedApp.shortcuts || []).filter(s => s.path !== shortcut.path);
+      installedApp.shortcuts.push(shortcut);
+      store.set('installed-apps', installedApps);
+      created.push(shortcut);
+    }
+
+    return { success: true, created, shortcuts: installedApp.shortcuts };
+  } catch (error) {
+    console.error('Failed to create app shortcut:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Remove an app's shortcuts (all of them, or only the given locations)
+ipcMain.handle('remove-app-shortcut', async (event, marketplaceItemId, locations = null) => {
+  try {
+    const installedApps = store.get('installed-apps', []);
+    const installedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+    if (!installedApp) {
+      throw new Error('App not found');
+    }
+
+    const removed = [];
+    const remaining = [];
+    for (const shortcut of installedApp.shortcuts || []) {
+      if (locations && ![].concat(locations).includes(shortcut.location)) {
+        remaining.push(shortcut);
+        continue;
       }
-    } catch (err) {
-      console.error('❌ Failed to delete desktop shortcut:', err);
-      errors.push(`Desktop shortcut: ${err.message}`);
+      await shortcuts.removeShortcut(shortcut.path);
+      removed.push(shortcut);
     }
-    
-    // 4. Delete start menu shortcut if it was created
-    if (process.platform === 'win32') {
-      try {
-        const startMenuPath = path.join(app.getPath('appData'), 'Microsoft', 'Windows', 'Start Menu', 'Programs');
-        const shortcutName = `${app.title}.lnk`;
-        const shortcutPath = path.join(startMenuPath, shortcutName);
-        
-        console.log('📌 Checking for start menu shortcut:', shortcutPath);
-        const shortcutExists = await fs.access(shortcutPath).then(() => true).catch(() => false);
-        if (shortcutExists) {
-          await fs.unlink(shortcutPath);
-          deletedItems.push('Start menu shortcut');
-          console.log('✅ Start menu shortcut deleted');
+
+    installedApp.shortcuts = remaining;
+    store.set('installed-apps', installedApps);
+    return { success: true, removed, shortcuts: remaining };
+  } catch (error) {
+    console.error('Failed to remove app shortcut:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Move an installed app's folder (or lone executable) into another folder, e.g. on another drive
+ipcMain.handle('move-app', async (event, marketplaceItemId, destinationDir) => {
+  try {
+    const installedApp = store.get('installed-apps', []).find(app => app.marketplaceItemId === marketplaceItemId);
+    if (!installedApp) {
+      throw new Error('App not found');
+    }
+    if (!destinationDir) {
+      throw new Error('Destination folder is required');
+    }
+    if (appProcessTracker && appProcessTracker.getRunningFor(marketplaceItemId).length > 0) {
+      throw new Error(`Close ${installedApp.title} before moving it`);
+    }
+
+    const sourcePath = installedApp.installPath || installedApp.executablePath;
+    if (!sourcePath) {
+      throw new Error('App install location not found');
+    }
+    const manifest = appInstaller && installedApp.manifestPath ? await appInstaller.readManifest(installedApp) : null;
+
+    console.log('🚚 Moving app:', installedApp.title, '→', destinationDir);
+    const result = await moveInstall(sourcePath, destinationDir, {
+      manifest,
+      onProgress: (progress) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('app-move-progress', { marketplaceItemId, ...progress });
         }
-      } catch (err) {
-        console.error('❌ Failed to delete start menu shortcut:', err);
-        errors.push(`Start menu shortcut: ${err.message}`);
+      },
+      // Repoint the library at the verified copy before the original goes
+      onCopied: async ({ from, to }) => {
+        if (manifest) {
+          manifest.installPath = rebasePath(manifest.installPath, from, to);
+          await appInstaller.writeManifest(installedApp.manifestPath, manifest);
+        }
+
+        const installedApps = store.get('installed-apps', []);
+        const entry = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+        entry.installPath = rebasePath(entry.installPath, from, to);
+        entry.executablePath = rebasePath(entry.executablePath, from, to);
+        for (const profile of entry.launchProfiles || []) {
+          if (profile.cwd && path.isAbsolute(profile.cwd)) {
+            profile.cwd = rebasePath(profile.cwd, from, to);
+          }
+        }
+        entry.updatedAt = new Date().toISOString();
+        store.set('installed-apps', installedApps);
+      }
+    });
+
+    // Shortcuts still point at the old location - recreate them
+    const installedApps = store.get('installed-apps', []);
+    const movedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+    const warnings = [];
+    const recreated = [];
+    for (const shortcut of movedApp.shortcuts || []) {
+      try {
+        await shortcuts.removeShortcut(shortcut.path);
+        recreated.push(await shortcuts.createShortcut(movedApp, shortcut.location));
+      } catch (error) {
+        warnings.push(`Shortcut ${path.basename(shortcut.path)}: ${error.message}`);
       }
     }
+    movedApp.shortcuts = recreated;
+    store.set('installed-apps', installedApps);
+
+    if (!result.originalRemoved) {
+      warnings.push(`Could not remove the old copy at ${result.from}`);
+    }
+
+    console.log('✅ App moved to:', result.to);
+    return {
+      success: true,
+      app: movedApp,
+      from: result.from,
+      to: result.to,
+      warnings: warnings.length > 0 ? warnings : undefined
+    };
+  } catch (error) {
+    console.error('Failed to move app:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+// Preview what uninstalling an app would remove, without touching anything
+ipcMain.handle('preview-uninstall', async (event, marketplaceItemId) => {
+  try {
+    if (!uninstallManager) {
+      throw new Error('Uninstall manager not initialized');
+    }
+
+    const installedApp = store.get('installed-apps', []).find(app => app.marketplaceItemId === marketplaceItemId);
+    if (!installedApp) {
+      throw new Error('App not found in installed apps list');
+    }
+
+    const plan = await uninstallManager.planUninstall(installedApp);
+    return { success: true, plan };
+  } catch (error) {
+    console.error('Failed to preview uninstall:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Uninstall an app
+// Removed files go to quarantine (restore-app brings them back until they expire).
+// Paths outside the app's folder, the download location and the library need options.confirmUnsafe
+// (or options.skipUnsafe to leave them and remove the rest).
+ipcMain.handle('uninstall-app', async (event, marketplaceItemId, options = {}) => {
+  try {
+    if (!uninstallManager) {
+      throw new Error('Uninstall manager not initialized');
+    }
     
-    // 5. Remove from installed apps list
-    const updatedApps = installedApps.filter(a => a.marketplaceItemId !== marketplaceItemId);
-    store.set('installed-apps', updatedApps);
-    console.log('✅ Removed from installed apps list');
+    const installedApps = store.get('installed-apps', []);
+    const installedApp = installedApps.find(app => app.marketplaceItemId === marketplaceItemId);
+    
+    if (!installedApp) {
+      throw new Error('App not found in installed apps list');
+    }
+    if (appProcessTracker && appProcessTracker.getRunningFor(marketplaceItemId).length > 0) {
+      throw new Error(`Close ${installedApp.title} before uninstalling it`);
+    }
     
-    // Helper function for formatting bytes
-    function formatBytes(bytes) {
-      if (bytes === 0) return '0 B';
-      const k = 1024;
-      const sizes = ['B', 'KB', 'MB', 'GB'];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
-      return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+    const plan = await uninstallManager.planUninstall(installedApp);
+    if (plan.requiresConfirmation && !options.confirmUnsafe && !options.skipUnsafe) {
+      console.log('⚠️ Uninstall needs confirmation:', installedApp.title);
+      return {
+        success: false,
+        requiresConfirmation: true,
+        error: 'Some files are outside the app\'s own folder. Review and confirm before removing them.',
+        plan
+      };
     }
     
+    console.log('🗑️ Starting uninstallation of:', installedApp.title);
+    const { entry, moved, skipped, errors } = await uninstallManager.quarantine(installedApp, plan, options);
+    
+    // Remove from installed apps list
+    store.set('installed-apps', installedApps.filter(a => a.marketplaceItemId !== marketplaceItemId));
+    console.log('✅ Removed from installed apps list');
+    
     // Send notification
     if (Notification.isSupported()) {
       new Notification({
         title: 'Uninstallation Complete',
-        body: `${app.title} has been removed from your system`,
+        body: `${installedApp.title} has been removed from your system`,
         icon: path.join(__dirname, '../../assets/company.png'),
       }).show();
     }
     
     console.log('🎉 Uninstallation complete!');
-    console.log('Deleted items:', deletedItems);
     if (errors.length > 0) {
       console.log('Errors encountered:', errors);
     }
     
+    uninstallManager.purgeExpired().catch(err => console.error('Failed to purge quarantine:', err));
+    
     return { 
       success: true, 
       message: 'App uninstalled successfully',
-      deletedItems,
+      deletedItems: moved.map(item => item.originalPath),
+      keptFiles: plan.kept.length > 0 ? plan.kept : undefined, // Files the app created itself, left in its folder
+      skippedItems: skipped.length > 0 ? skipped.map(item => item.path) : undefined, // Left in place (skipUnsafe)
+      quarantineId: entry.id,
+      expiresAt: entry.expiresAt,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
@@ -756,6 +1263,37 @@ ipcMain.handle('uninstall-app', async (event, marketplaceItemId) => {
   }
 });
 
+// Uninstalled apps that can still be restored
+ipcMain.handle('get-quarantined-apps', async () => {
+  try {
+    if (!uninstallManager) {
+      throw new Error('Uninstall manager not initialized');
+    }
+
+    return { success: true, apps: uninstallManager.list() };
+  } catch (error) {
+    console.error('Failed to get quarantined apps:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Put an uninstalled app back from quarantine
+ipcMain.handle('restore-app', async (event, quarantineId) => {
+  try {
+    if (!uninstallManager) {
+      throw new Error('Uninstall manager not initialized');
+    }
+
+    const restoredApp = await uninstallManager.restore(quarantineId);
+    store.set('installed-apps', [...store.get('installed-apps', []), restoredApp]);
+    
+    return { success: true, app: restoredApp };
+  } catch (error) {
+    console.error('Failed to restore app:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Open app install location
 ipcMain.handle('open-install-location', async (event, marketplaceItemId) => {
   try {
@@ -853,6 +1391,141 @@ ipcMain.handle('move-to-scheduled', async (event, downloadId) => {
   }
 });
 
+// Pause an active or waiting download (its partial file is kept)
+ipcMain.handle('pause-download', async (event, downloadId) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = downloadQueueManager.pauseDownload(downloadId);
+    return { success: true, download };
+  } catch (error) {
+    console.error('Failed to pause download:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+// Resume a paused download
+ipcMain.handle('resume-download', async (event, downloadId) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = await downloadQueueManager.resumeDownload(downloadId);
+    return { success: true, download };
+  } catch (error) {
+    console.error('Failed to resume download:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+// Cancel a download (its partial file is removed)
+ipcMain.handle('cancel-download', async (event, downloadId) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = downloadQueueManager.cancelDownload(downloadId);
+    return { success: true, download };
+  } catch (error) {
+    console.error('Failed to cancel download:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+// Move a download to a position in a queue
+ipcMain.handle('move-download', async (event, { id, targetQueue, index }) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = downloadQueueManager.moveDownload(id, targetQueue, index);
+    return { success: true, download, queues: downloadQueueManager.getAllQueues() };
+  } catch (error) {
+    console.error('Failed to move download:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Change the priority of a queued download
+ipcMain.handle('set-download-priority', async (event, downloadId, priority) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = downloadQueueManager.setPriority(downloadId, priority);
+    return { success: true, download };
+  } catch (error) {
+    console.error('Failed to set download priority:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Pause every active or waiting download
+ipcMain.handle('pause-all-downloads', async () => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const downloads = downloadQueueManager.pauseAll();
+    return { success: true, count: downloads.length, downloads };
+  } catch (error) {
+    console.error('Failed to pause all downloads:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Resume every paused download
+ipcMain.handle('resume-all-downloads', async () => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const downloads = await downloadQueueManager.resumeAll();
+    return { success: true, count: downloads.length, downloads };
+  } catch (error) {
+    console.error('Failed to resume all downloads:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Retry every failed download
+ipcMain.handle('retry-failed-downloads', async () => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const downloads = await downloadQueueManager.retryFailed();
+    return { success: true, count: downloads.length, downloads };
+  } catch (error) {
+    console.error('Failed to retry failed downloads:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Set or clear the start time of a download
+ipcMain.handle('schedule-download', async (event, downloadId, startAt) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = downloadQueueManager.scheduleDownload(downloadId, startAt);
+    return { success: true, download };
+  } catch (error) {
+    console.error('Failed to schedule download:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Remove from queue
 ipcMain.handle('remove-from-queue', async (event, downloadId) => {
   try {
@@ -898,6 +1571,81 @@ ipcMain.handle('remove-from-completed', async (event, downloadId) => {
   }
 });
 
+// Re-check a completed download against its expected size/hash
+ipcMain.handle('verify-download', async (event, downloadId) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const result = await downloadQueueManager.verifyDownload(downloadId);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Failed to verify download:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Retry a failed or corrupt download
+ipcMain.handle('retry-download', async (event, downloadId) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const download = await downloadQueueManager.retryDownload(downloadId);
+    return { success: true, download };
+  } catch (error) {
+    console.error('Failed to retry download:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Download history (newest first)
+ipcMain.handle('get-download-history', async (event, options = {}) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const history = downloadQueueManager.history.getEntries(options);
+    return { success: true, ...history };
+  } catch (error) {
+    console.error('Failed to get download history:', error);
+    return { success: false, error: error.message, total: 0, entries: [] };
+  }
+});
+
+// Download statistics - totals, per day and per module
+ipcMain.handle('get-download-statistics', async (event, options = {}) => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    const stats = downloadQueueManager.history.getStats(options);
+    return { success: true, ...stats };
+  } catch (error) {
+    console.error('Failed to get download statistics:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Clear download history
+ipcMain.handle('clear-download-history', async () => {
+  try {
+    if (!downloadQueueManager) {
+      throw new Error('Download queue manager not initialized');
+    }
+
+    downloadQueueManager.history.clear();
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to clear download history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Install from downloaded file
 ipcMain.handle('install-from-download', async (event, downloadId) => {
   try {
@@ -910,22 +1658,12 @@ ipcMain.handle('install-from-download', async (event, downloadId) => {
       throw new Error('Download not found');
     }
 
-    if (download.status !== 'complete') {
+    if (!['complete', 'install-failed'].includes(download.status)) {
       throw new Error('Download not complete');
     }
 
-    // Install the module using ModuleManager
-    const result = await moduleManager.installModule(download.filePath, download);
-    
-    if (Notification.isSupported()) {
-      new Notification({
-        title: 'Module Installed',
-        body: `${download.displayName} has been installed successfully`,
-        icon: path.join(__dirname, '../../assets/company.png'),
-      }).show();
-    }
-
-    return result;
+    // Install through the queue's install pipeline (verify, install, clean up)
+    return await downloadQueueManager.runPostAction(download, downloadQueueManager.getInstallAction(download));
   } catch (error) {
     console.error('❌ Install from download failed:', error);
     return { success: false, error: error.message };
@@ -937,88 +1675,23 @@ ipcMain.handle('install-from-download', async (event, downloadId) => {
 // Download and install a module
 ipcMain.handle('download-module', async (event, moduleInfo) => {
   try {
-    if (!moduleManager) {
+    if (!moduleManager || !downloadQueueManager) {
       throw new Error('Module manager not initialized');
     }
 
     console.log('🧩 Module download request:', moduleInfo);
-    const { id, name, displayName, downloadUrl, version, category } = moduleInfo;
     
-    if (!downloadUrl) {
+    if (!moduleInfo.downloadUrl) {
       throw new Error('Download URL is required');
     }
 
-    // Generate filename
-    const fileName = `${name.replace(/[^a-z0-9]/gi, '_')}-v${version}.zip`;
-    const settings = store.get('launcher-settings', {});
-    let downloadPath;
-    
-    // Get download path
-    try {
-      if (settings.downloads?.location) {
-        downloadPath = settings.downloads.location;
-      } else {
-        try {
-          downloadPath = app.getPath('downloads');
-        } catch (e) {
-          downloadPath = path.join(app.getPath('documents'), 'OTH Downloads', 'Modules');
-        }
-      }
-    } catch (pathError) {
-      downloadPath = path.join(app.getPath('documents'), 'OTH Downloads', 'Modules');
-    }
-
-    const filePath = path.join(downloadPath, fileName);
-    await fs.mkdir(downloadPath, { recursive: true });
-
-    // Download the file
-    const baseUrl = process.env.OTH_STORE_URL || 'http://localhost:3000';
-    const fullUrl = downloadUrl.startsWith('/') ? `${baseUrl}${downloadUrl}` : downloadUrl;
-    const protocol = fullUrl.startsWith('https') ? https : http;
-
-    await new Promise((resolve, reject) => {
-      protocol.get(fullUrl, (response) => {
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          const redirectUrl = response.headers.location;
-          if (redirectUrl) {
-            const redirectProtocol = redirectUrl.startsWith('https') ? https : http;
-            redirectProtocol.get(redirectUrl, (redirectResponse) => {
-              const writeStream = require('fs').createWriteStream(filePath);
-              redirectResponse.pipe(writeStream);
-              writeStream.on('finish', () => {
-                writeStream.close();
-                resolve();
-              });
-              writeStream.on('error', reject);
-            }).on('error', reject);
-          } else {
-            reject(new Error('Redirect location not found'));
-          }
-        } else if (response.statusCode === 200) {
-          const writeStream = require('fs').createWriteStream(filePath);
-          response.pipe(writeStream);
-          writeStream.on('finish', () => {
-            writeStream.close();
-            resolve();
-          });
-          writeStream.on('error', reject);
-        } else {
-          reject(new Error(`Download failed with status ${response.statusCode}`));
-        }
-      }).on('error', reject);
-    });
-
-    // Install the module using ModuleManager
-    const result = await moduleManager.installModule(filePath, moduleInfo);
-    
-    if (Notification.isSupported()) {
-      new Notification({
-        title: 'Module Installed',
-        body: `${displayName} has been installed successfully`,
-        icon: path.join(__dirname, '../../assets/company.png'),
-      }).show();
-    }
+    // Download through the queue; its install action extracts and registers the module
+    const queued = downloadQueueManager.addToQueue({
+      ...moduleInfo,
+      postAction: 'install-module'
+    }, { startImmediately: true });
 
+    const { result } = await downloadQueueManager.waitForDownload(queued.id);
     return result;
   } catch (error) {
     console.error('❌ Module download/install failed:', error);
@@ -1566,6 +2239,23 @@ ipcMain.handle('get-launcher-settings', async () => {
       downloads: {
         autoInstall: false,
         pauseOnLaunch: false,
+        launchBandwidthLimit: 0, // bytes/s for downloads while a launched app runs (pauseOnLaunch) - 0 pauses them
+        maxConcurrentDownloads: 3,
+        bandwidthLimit: 0, // bytes per second, 0 = unlimited
+        recoveryMode: 'resume', // 'resume' | 'requeue' | 'prune' for downloads interrupted by a quit/crash
+        quotas: {}, // { '<download location>': maxBytes } - optional cap on what the launcher keeps there
+        mirrors: [], // Base URLs tried before OTH_STORE_URL for store downloads (e.g. a LAN cache)
+        minMirrorSpeed: 51200, // bytes/s - slower mirrors are dropped for the next one (0 = never)
+        retry: {
+          maxAttempts: 5,
+          baseDelay: 2000,
+          maxDelay: 60000,
+          jitter: 0.3
+        },
+        schedule: {
+          startAt: null,
+          windows: [] // e.g. [{ start: '01:00', end: '06:00' }]
+        },
         location: downloadLocation
       },
       notifications: {
@@ -1582,6 +2272,10 @@ ipcMain.handle('get-launcher-settings', async () => {
         enabled: true,
         showAppName: true,
         showElapsedTime: true
+      },
+      library: {
+        location: path.join(app.getPath('userData'), 'Library'), // Where app packages are installed
+        quarantineDays: 7 // How long uninstalled apps can be restored
       }
     });
     
@@ -1590,12 +2284,41 @@ ipcMain.handle('get-launcher-settings', async () => {
       settings.downloads = {
         autoInstall: false,
         pauseOnLaunch: false,
+        launchBandwidthLimit: 0, // bytes/s for downloads while a launched app runs (pauseOnLaunch) - 0 pauses them
+        maxConcurrentDownloads: 3,
+        bandwidthLimit: 0, // bytes per second, 0 = unlimited
+        recoveryMode: 'resume', // 'resume' | 'requeue' | 'prune' for downloads interrupted by a quit/crash
+        quotas: {}, // { '<download location>': maxBytes } - optional cap on what the launcher keeps there
+        mirrors: [], // Base URLs tried before OTH_STORE_URL for store downloads (e.g. a LAN cache)
+        minMirrorSpeed: 51200, // bytes/s - slower mirrors are dropped for the next one (0 = never)
+        retry: {
+          maxAttempts: 5,
+          baseDelay: 2000,
+          maxDelay: 60000,
+          jitter: 0.3
+        },
+        schedule: {
+          startAt: null,
+          windows: [] // e.g. [{ start: '01:00', end: '06:00' }]
+        },
         location: downloadLocation
       };
     } else if (!settings.downloads.location) {
       settings.downloads.location = downloadLocation;
     }
     
+    // Ensure library.location exists
+    if (!settings.library?.location) {
+      settings.library = {
+        ...settings.library,
+        location: path.join(app.getPath('userData'), 'Library')
+      };
+    }
+    
+    if (!settings.downloads.maxConcurrentDownloads) {
+      settings.downloads.maxConcurrentDownloads = 3;
+    }
+    
     return { success: true, settings };
   } catch (error) {
     console.error('Failed to get launcher settings:', error);
@@ -1608,6 +2331,12 @@ ipcMain.handle('save-launcher-settings', async (event, settings) => {
   try {
     store.set('launcher-settings', settings);
     
+    // Apply slot limit, bandwidth cap, schedule and pause-on-launch changes
+    if (downloadQueueManager) {
+      downloadQueueManager.applySettings();
+      applyPauseOnLaunch();
+    }
+    
     // Update Discord presence if discord settings changed
     if (settings.discord && discordPresence) {
       if (settings.discord.enabled) {
@@ -1733,11 +2462,15 @@ ipcMain.handle('get-storage-info', async () => {
       }
     }
     
+    // Free space on the download volume (null if unknown)
+    const freeSpace = await getFreeSpace(downloadPath);
+    
     return {
       success: true,
       cacheSize,
       downloadSize,
       totalSoftwareSize,
+      freeSpace,
       info: {
         downloadPath,
         installedAppsCount: installedApps.length,
@@ -2546,6 +3279,8 @@ app.whenReady().then(async () => {
   
   // Initialize Download Queue Manager
   downloadQueueManager = new DownloadQueueManager(store);
+  // The main window has no partition, so this is the session the store login lives in
+  downloadQueueManager.setSession(defaultSession);
   console.log('📥 Download Queue Manager initialized');
   
   // Setup download queue event listeners
@@ -2556,9 +3291,9 @@ app.whenReady().then(async () => {
     }
   });
   
-  downloadQueueManager.on('download-progress', (download) => {
+  downloadQueueManager.on('download-progress', (download, throughput) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('download-progress', download);
+      mainWindow.webContents.send('download-progress', { ...download, throughput });
     }
   });
   
@@ -2577,18 +3312,141 @@ app.whenReady().then(async () => {
   });
   
   downloadQueueManager.on('download-error', (download) => {
-    console.error('❌ Download error:', download.displayName, download.error);
+    // Payload carries status ('retrying'/'error'/'corrupt'), errorType and the attempt history
+    console.error('❌ Download error:', download.displayName, download.errorType, download.error);
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('download-error', download);
     }
   });
   
+  downloadQueueManager.on('download-paused', (download) => {
+    // pausedBy tells a user pause from one by the download schedule
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('download-paused', download);
+    }
+  });
+  
+  downloadQueueManager.on('download-resumed', (download) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('download-resumed', download);
+    }
+  });
+  
+  downloadQueueManager.on('download-cancelled', (download) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('download-cancelled', download);
+    }
+  });
+  
+  downloadQueueManager.on('install-progress', (download) => {
+    // status is the pipeline stage (verifying/installing/cleaning-up/installed), installProgress its percentage
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('install-progress', download);
+    }
+  });
+  
   downloadQueueManager.on('queues-updated', (queues) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('queues-updated', queues);
     }
   });
   
+  // Post-download actions ('save' is built in). Install actions run through the
+  // queue's pipeline, which verifies the file first and removes the archive after.
+  downloadQueueManager.registerPostAction('install-module', async (download, { onProgress }) => {
+    const result = await moduleManager.installModule(download.filePath, download.info || download, {
+      keepArchive: true,
+      onProgress
+    });
+    
+    if (Notification.isSupported()) {
+      new Notification({
+        title: 'Module Installed',
+        body: `${download.displayName} has been installed successfully`,
+        icon: path.join(__dirname, '../../assets/company.png'),
+      }).show();
+    }
+    
+    return result;
+  }, { install: true });
+  
+  // The downloaded file is the app itself, so it is kept
+  downloadQueueManager.registerPostAction('register-app', async (download) => {
+    const info = download.info || download;
+    const installedApp = registerInstalledApp({
+      marketplaceItemId: info.marketplaceItemId,
+      title: info.title || download.displayName,
+      version: info.version,
+      executablePath: download.filePath,
+      size: download.totalBytes
+    });
+    
+    return { success: true, app: installedApp };
+  }, { install: true, cleanup: false });
+  
+  // App packages: extract into the library, then add to the library list
+  appInstaller = new AppInstaller(store);
+  libraryScanner = new LibraryScanner(store, appInstaller);
+  uninstallManager = new UninstallManager(store, appInstaller);
+  uninstallManager.purgeExpired().catch(err => console.error('Failed to purge quarantine:', err));
+  downloadQueueManager.registerPostAction('install-app', async (download, { onProgress }) => {
+    const info = download.info || download;
+    const result = await appInstaller.installFromArchive(download.filePath, {
+      marketplaceItemId: info.marketplaceItemId,
+      title: info.title || download.displayName,
+      version: info.version,
+      executable: info.executable,
+      source: { downloadUrl: download.downloadUrl, sha256: download.fileSha256 || null }
+    }, { onProgress });
+    
+    const installedApp = registerInstalledApp({
+      marketplaceItemId: info.marketplaceItemId,
+      title: info.title || download.displayName,
+      version: info.version,
+      installPath: result.installPath,
+      executablePath: result.executablePath,
+      manifestPath: result.manifestPath,
+      size: result.size
+    });
+    
+    return { success: true, app: installedApp };
+  }, { install: true });
+  
+  // Repair downloads: put back only the broken files from a fresh copy of the package
+  downloadQueueManager.registerPostAction('repair-app', async (download, { onProgress }) => {
+    const info = download.info || download;
+    const result = await repairAppFromArchive(info.marketplaceItemId, download.filePath, info.repairFiles || []);
+    onProgress(100, 'repaired');
+    return { success: true, ...result };
+  }, { install: true });
+  
+  // Track launched apps so downloads can step aside while they run
+  appProcessTracker = new AppProcessTracker();
+  appProcessTracker.on('app-started', (record) => {
+    recordAppUsage(record, 'started');
+    applyPauseOnLaunch();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('app-started', record);
+    }
+  });
+  appProcessTracker.on('app-exited', (record) => {
+    recordAppUsage(record, 'exited');
+    applyPauseOnLaunch();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('app-exited', record);
+    }
+  });
+  
+  // Pick up downloads interrupted by the last quit/crash before anything starts
+  try {
+    await downloadQueueManager.recoverQueues();
+  } catch (error) {
+    console.error('❌ Download queue recovery failed:', error);
+  }
+  
+  // Act on scheduled start times and download windows
+  downloadQueueManager.startScheduler();
+  
   // Load all enabled modules
   await moduleManager.loadAllModules();
 
@@ -2651,10 +3509,22 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', async () => {
+  if (downloadQueueManager) {
+    downloadQueueManager.stopScheduler();
+    downloadQueueManager.saveQueues(); // Progress isn't saved while downloading
+  }
+  
   if (discordPresence) {
     await discordPresence.destroy();
   }
   
+  // Apps keep running after we quit - count their time so far
+  if (appProcessTracker) {
+    for (const record of appProcessTracker.getRunning()) {
+      recordAppUsage(record, 'quit');
+    }
+  }
+  
   // Unregister all global shortcuts
   globalShortcut.unregisterAll();
 });
@@ -38,13 +38,59 @@ contextBridge.exposeInMainWorld('electronAPI', {
   showNotification: (options) => ipcRenderer.invoke('show-notification', options),
   
   // Library Management
-  getInstalledApps: () => ipcRenderer.invoke('get-installed-apps'),
+  getInstalledApps: (options) => ipcRenderer.invoke('get-installed-apps', options), // { collection, tag, favorite, includeHidden, search, sortBy, order }
+  getCollections: () => ipcRenderer.invoke('get-collections'),
+  createCollection: (collectionInfo) => ipcRenderer.invoke('create-collection', collectionInfo), // { name, color }
+  updateCollection: (collectionId, changes) => ipcRenderer.invoke('update-collection', collectionId, changes),
+  deleteCollection: (collectionId) => ipcRenderer.invoke('delete-collection', collectionId),
+  addToCollection: (marketplaceItemId, collectionId) => ipcRenderer.invoke('add-to-collection', marketplaceItemId, collectionId),
+  removeFromCollection: (marketplaceItemId, collectionId) => ipcRenderer.invoke('remove-from-collection', marketplaceItemId, collectionId),
+  setAppTags: (marketplaceItemId, tags) => ipcRenderer.invoke('set-app-tags', marketplaceItemId, tags),
+  getLibraryTags: () => ipcRenderer.invoke('get-library-tags'),
+  setAppFavorite: (marketplaceItemId, favorite) => ipcRenderer.invoke('set-app-favorite', marketplaceItemId, favorite),
+  setAppHidden: (marketplaceItemId, hidden) => ipcRenderer.invoke('set-app-hidden', marketplaceItemId, hidden),
   isAppInstalled: (marketplaceItemId) => ipcRenderer.invoke('is-app-installed', marketplaceItemId),
-  launchApp: (marketplaceItemId) => ipcRenderer.invoke('launch-app', marketplaceItemId),
+  launchApp: (marketplaceItemId, options) => ipcRenderer.invoke('launch-app', marketplaceItemId, options), // { profileId, allowMultiple }
+  getLaunchProfiles: (marketplaceItemId) => ipcRenderer.invoke('get-launch-profiles', marketplaceItemId),
+  saveLaunchProfiles: (marketplaceItemId, data) => ipcRenderer.invoke('save-launch-profiles', marketplaceItemId, data), // { profiles, defaultProfileId }
+  getRunningApps: () => ipcRenderer.invoke('get-running-apps'),
+  focusApp: (marketplaceItemId) => ipcRenderer.invoke('focus-app', marketplaceItemId),
+  onAppStarted: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('app-started', listener);
+    return () => ipcRenderer.removeListener('app-started', listener);
+  },
+  onAppExited: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('app-exited', listener);
+    return () => ipcRenderer.removeListener('app-exited', listener);
+  },
   downloadApp: (downloadInfo) => ipcRenderer.invoke('download-app', downloadInfo), // LEGACY
-  saveDownloadedFile: (fileData) => ipcRenderer.invoke('save-downloaded-file', fileData), // NEW - for authenticated downloads
+  saveDownloadedFile: (fileData) => ipcRenderer.invoke('save-downloaded-file', fileData), // FALLBACK - downloadApp/download queue use the store session
   registerInstallation: (installInfo) => ipcRenderer.invoke('register-installation', installInfo),
-  uninstallApp: (marketplaceItemId) => ipcRenderer.invoke('uninstall-app', marketplaceItemId),
+  previewUninstall: (marketplaceItemId) => ipcRenderer.invoke('preview-uninstall', marketplaceItemId),
+  uninstallApp: (marketplaceItemId, options) => ipcRenderer.invoke('uninstall-app', marketplaceItemId, options), // { confirmUnsafe, skipUnsafe }
+  getQuarantinedApps: () => ipcRenderer.invoke('get-quarantined-apps'),
+  restoreApp: (quarantineId) => ipcRenderer.invoke('restore-app', quarantineId),
+  installAppArchive: (filePath, appInfo) => ipcRenderer.invoke('install-app-archive', filePath, appInfo), // { marketplaceItemId, title, version, executable }
+  scanLibrary: (options) => ipcRenderer.invoke('scan-library', options), // { folders, knownApps, includeUnmatched }
+  importInstallations: (candidates) => ipcRenderer.invoke('import-installations', candidates),
+  getAppShortcuts: (marketplaceItemId) => ipcRenderer.invoke('get-app-shortcuts', marketplaceItemId),
+  createAppShortcut: (marketplaceItemId, locations) => ipcRenderer.invoke('create-app-shortcut', marketplaceItemId, locations), // ['desktop', 'menu']
+  removeAppShortcut: (marketplaceItemId, locations) => ipcRenderer.invoke('remove-app-shortcut', marketplaceItemId, locations),
+  moveApp: (marketplaceItemId, destinationDir) => ipcRenderer.invoke('move-app', marketplaceItemId, destinationDir),
+  onAppMoveProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('app-move-progress', listener);
+    return () => ipcRenderer.removeListener('app-move-progress', listener);
+  },
+  verifyApp: (marketplaceItemId) => ipcRenderer.invoke('verify-app', marketplaceItemId),
+  repairApp: (marketplaceItemId, options) => ipcRenderer.invoke('repair-app', marketplaceItemId, options), // { archivePath }
+  onAppInstallProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('app-install-progress', listener);
+    return () => ipcRenderer.removeListener('app-install-progress', listener);
+  },
   openInstallLocation: (marketplaceItemId) => ipcRenderer.invoke('open-install-location', marketplaceItemId),
   
   // Launcher Settings
@@ -73,10 +119,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
   startNextDownload: () => ipcRenderer.invoke('start-next-download'),
   moveToUpNext: (downloadId) => ipcRenderer.invoke('move-to-up-next', downloadId),
   moveToScheduled: (downloadId) => ipcRenderer.invoke('move-to-scheduled', downloadId),
+  pauseDownload: (downloadId) => ipcRenderer.invoke('pause-download', downloadId),
+  resumeDownload: (downloadId) => ipcRenderer.invoke('resume-download', downloadId),
+  cancelDownload: (downloadId) => ipcRenderer.invoke('cancel-download', downloadId),
+  moveDownload: (id, targetQueue, index) => ipcRenderer.invoke('move-download', { id, targetQueue, index }),
+  setDownloadPriority: (downloadId, priority) => ipcRenderer.invoke('set-download-priority', downloadId, priority), // 'high' | 'normal' | 'low'
+  pauseAllDownloads: () => ipcRenderer.invoke('pause-all-downloads'),
+  resumeAllDownloads: () => ipcRenderer.invoke('resume-all-downloads'),
+  retryFailedDownloads: () => ipcRenderer.invoke('retry-failed-downloads'),
+  scheduleDownload: (downloadId, startAt) => ipcRenderer.invoke('schedule-download', downloadId, startAt),
   removeFromQueue: (downloadId) => ipcRenderer.invoke('remove-from-queue', downloadId),
   clearCompleted: () => ipcRenderer.invoke('clear-completed'),
   removeFromCompleted: (downloadId) => ipcRenderer.invoke('remove-from-completed', downloadId),
   installFromDownload: (downloadId) => ipcRenderer.invoke('install-from-download', downloadId),
+  verifyDownload: (downloadId) => ipcRenderer.invoke('verify-download', downloadId),
+  retryDownload: (downloadId) => ipcRenderer.invoke('retry-download', downloadId),
+  getDownloadHistory: (options) => ipcRenderer.invoke('get-download-history', options), // { moduleId, result, from, to, limit, offset }
+  getDownloadStatistics: (options) => ipcRenderer.invoke('get-download-statistics', options), // { from, to } or { days }
+  clearDownloadHistory: () => ipcRenderer.invoke('clear-download-history'),
   onDownloadStarted: (callback) => {
     const listener = (event, data) => callback(data);
     ipcRenderer.on('download-started', listener);
@@ -97,6 +157,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('download-error', listener);
     return () => ipcRenderer.removeListener('download-error', listener);
   },
+  onDownloadPaused: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('download-paused', listener);
+    return () => ipcRenderer.removeListener('download-paused', listener);
+  },
+  onDownloadResumed: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('download-resumed', listener);
+    return () => ipcRenderer.removeListener('download-resumed', listener);
+  },
+  onDownloadCancelled: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('download-cancelled', listener);
+    return () => ipcRenderer.removeListener('download-cancelled', listener);
+  },
+  onInstallProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('install-progress', listener);
+    return () => ipcRenderer.removeListener('install-progress', listener);
+  },
   onQueuesUpdated: (callback) => {
     const listener = (event, data) => callback(data);
     ipcRenderer.on('queues-updated', listener);
@@ -3,6 +3,7 @@ const fs = require('fs').promises;
 const { app } = require('electron');
 const AdmZip = require('adm-zip');
 const crypto = require('crypto');
+const { checkFreeSpace, createSpaceError } = require('../downloads/disk-space');
 
 // Load module loaders for different categories
 const ToolModuleLoader = require('./tool-module-loader');
@@ -74,21 +75,35 @@ class ModuleManager {
 
   /**
    * Install module from downloaded file
+   * Options: keepArchive (leave the ZIP for the caller to clean up) and
+   * onProgress(percent, step). A failed install is rolled back, restoring
+   * the previously installed version if this was an update.
    */
-  async installModule(filePath, moduleInfo) {
+  async installModule(filePath, moduleInfo, options = {}) {
+    const { keepArchive = false, onProgress = () => {} } = options;
+    const tempExtractPath = path.join(this.modulesDir, 'temp', `install-${Date.now()}`);
+    let backup = null; // Previous version, moved aside during an update
+    let moduleDir = null; // Set once the new files are in place
+    let manifest = null;
+
     try {
       console.log('📦 Starting module installation:', moduleInfo.displayName);
 
-      // 1. Extract ZIP file
+      // 1. Extract ZIP file (after making sure the extracted files fit)
+      onProgress(0, 'extracting');
       const zip = new AdmZip(filePath);
-      const tempExtractPath = path.join(this.modulesDir, 'temp', `install-${Date.now()}`);
-      
+      const extractedSize = zip.getEntries().reduce((total, entry) => total + (entry.header.size || 0), 0);
+      const spaceCheck = await checkFreeSpace(this.modulesDir, extractedSize);
+      if (!spaceCheck.ok) {
+        throw createSpaceError(spaceCheck);
+      }
+
       await fs.mkdir(tempExtractPath, { recursive: true });
       zip.extractAllTo(tempExtractPath, true);
+      onProgress(50, 'extracted');
 
       // 2. Find and read manifest
       const manifestPath = path.join(tempExtractPath, 'module.json');
-      let manifest;
 
       try {
         const manifestContent = await fs.readFile(manifestPath, 'utf-8');
@@ -108,15 +123,18 @@ class ModuleManager {
           throw new Error(`Module ${manifest.displayName} v${manifest.version} is already installed`);
         }
 
-        // Uninstall old version first
+        // Move the old version aside - it comes back if this install fails
         console.log('🔄 Updating existing module...');
-        await this.uninstallModule(manifest.id);
+        backup = await this.backupModule(existingModule);
       }
+      onProgress(60, 'validated');
 
       // 5. Move to permanent location
-      const moduleDir = path.join(this.modulesDir, manifest.category, manifest.id);
-      await fs.mkdir(path.dirname(moduleDir), { recursive: true });
-      await fs.rename(tempExtractPath, moduleDir);
+      const targetDir = path.join(this.modulesDir, manifest.category, manifest.id);
+      await fs.mkdir(path.dirname(targetDir), { recursive: true });
+      await fs.rename(tempExtractPath, targetDir);
+      moduleDir = targetDir;
+      onProgress(80, 'copied');
 
       // 6. Register installation
       // Database values (moduleInfo) should override manifest values from ZIP
@@ -169,11 +187,19 @@ class ModuleManager {
       // Update in-memory map
       this.installedModules.set(manifest.id, installation);
 
+      // The update went through - the old version can go
+      if (backup) {
+        await fs.rm(backup.path, { recursive: true, force: true }).catch(() => {});
+      }
+      onProgress(100, 'registered');
+
       // 7. Clean up
-      try {
-        await fs.unlink(filePath);
-      } catch (err) {
-        // Ignore cleanup errors
+      if (!keepArchive) {
+        try {
+          await fs.unlink(filePath);
+        } catch (err) {
+          // Ignore cleanup errors
+        }
       }
 
       console.log('✅ Module installed successfully:', manifest.displayName);
@@ -185,23 +211,69 @@ class ModuleManager {
     } catch (error) {
       console.error('❌ Module installation failed:', error);
       
-      // Clean up on failure
+      // Roll back: drop our extracted files and put the previous version back
       try {
-        const tempDir = path.join(this.modulesDir, 'temp');
-        const tempDirs = await fs.readdir(tempDir);
-        for (const dir of tempDirs) {
-          if (dir.startsWith('install-')) {
-            await fs.rm(path.join(tempDir, dir), { recursive: true, force: true });
-          }
+        await fs.rm(tempExtractPath, { recursive: true, force: true });
+        if (moduleDir) {
+          await fs.rm(moduleDir, { recursive: true, force: true });
+        }
+        if (backup) {
+          await this.restoreModule(backup);
         }
       } catch (cleanupErr) {
-        // Ignore cleanup errors
+        console.error('❌ Module install rollback failed:', cleanupErr);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Move an installed module out of the way before an update
+   * Returns what restoreModule needs to undo it.
+   */
+  async backupModule(module) {
+    const wasEnabled = !!module.enabled;
+    if (wasEnabled) {
+      await this.disableModule(module.id);
+    }
+
+    const backupPath = path.join(this.modulesDir, 'temp', `backup-${module.id}-${Date.now()}`);
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    if (module.installPath) {
+      await fs.rename(module.installPath, backupPath);
+    }
+
+    const installedModules = this.store.get('installed-modules', []);
+    const record = installedModules.find(m => m.id === module.id) || module;
+    this.store.set('installed-modules', installedModules.filter(m => m.id !== module.id));
+    this.installedModules.delete(module.id);
+
+    return { module: { ...record, enabled: false }, path: backupPath, wasEnabled };
+  }
+
+  /**
+   * Put a module moved aside by backupModule back in place
+   */
+  async restoreModule(backup) {
+    const { module } = backup;
+
+    if (module.installPath) {
+      await fs.rm(module.installPath, { recursive: true, force: true });
+      await fs.rename(backup.path, module.installPath);
+    }
+
+    const installedModules = this.store.get('installed-modules', []).filter(m => m.id !== module.id);
+    installedModules.push(module);
+    this.store.set('installed-modules', installedModules);
+    this.installedModules.set(module.id, module);
+
+    if (backup.wasEnabled) {
+      await this.enableModule(module.id);
+    }
+    console.log('↩️ Restored previous version of', module.displayName);
+  }
+
   /**
    * Uninstall a module
    */